@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+const path = require('path');
+const { USAGE, inputFromArgs, localStorageDir, parseCliArgs, promptCredentials, writeLocalOutput } = require('../src/local-run');
+
+// Command line entry point: scrape to a local directory, outside the Apify platform.
+// The scraping itself is the same runScraper() the actor runs.
+
+let args;
+try {
+  args = parseCliArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exit(2);
+}
+if (args.help || (!args.classroom && !args.community && !args.input)) {
+  console.log(USAGE);
+  process.exit(args.help ? 0 : 2);
+}
+
+const outDir = path.resolve(args.out);
+
+// The Apify SDK reads its storage location once, so set it before loading it
+process.env.CRAWLEE_STORAGE_DIR = localStorageDir(outDir);
+
+const { Actor } = require('apify');
+const { runScraper } = require('../main');
+
+Actor.main(async () => {
+  const input = await promptCredentials(inputFromArgs(args));
+  await runScraper(input);
+
+  const { items, files } = await writeLocalOutput(outDir, {
+    dataset: await Actor.openDataset(),
+    store: await Actor.openKeyValueStore()
+  });
+  console.log(`Wrote ${items} dataset items and ${files.length} files to ${outDir}`);
+});
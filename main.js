@@ -1,21 +1,137 @@
+const crypto = require('crypto');
 const { Actor } = require('apify');
 const puppeteer = require('puppeteer');
 const XLSX = require('xlsx');
 const cheerio = require('cheerio');
+const { RequestScheduler, parseRetryAfter } = require('./src/request-scheduler');
+const { htmlToMarkdown } = require('./src/html-to-markdown');
+const { htmlToBlocks } = require('./src/content-blocks');
+const { buildHtmlArchive } = require('./src/html-archive');
+const { AssetDownloader, collectAssetUrls, isDownloadableAsset, rewriteAssetUrls } = require('./src/asset-downloader');
+const { videoFromMetadata, collectEmbeddedVideos } = require('./src/video');
+const { TranscriptFetcher } = require('./src/transcripts');
+const { acceptLanguage, createBrowserProfile, defaultUserAgent, newProxySessionId, proxyFetch, proxyLaunchOptions, userAgentOverride } = require('./src/browser-profile');
+const { normalizeSessionCookies, sessionStoreKey } = require('./src/session-cookies');
+const { compareWithSnapshot, contentHash, hasFailed, moduleChangeStatus, snapshotEntry, snapshotKey, snapshotRecordKey } = require('./src/snapshot');
+const { courseStructuresFromItems, moduleItem } = require('./src/dataset-items');
+const { buildChunks, chunkOptions, toJsonl } = require('./src/chunks');
+const { DEFAULT_CONTENT_SELECTORS, bodyToHtml, findModuleJson, lessonBodyFromNextData } = require('./src/lesson-content');
+const { RESOURCE_PANEL_LINKS, formatFileSize, mergeResources, resourcesFromMetadata, resourcesFromPanel } = require('./src/resources');
+const { MODULE_STATUS, ModuleError, classifyError, countStatuses, isFailure, moduleStatus } = require('./src/module-status');
+const { accessOf, completedIdsOf, progressOf } = require('./src/access');
+const { createSelection, describeSelection, selectModules } = require('./src/selection');
+const { countComments, feedPageUrl, inDateRange, parseDateRange, parseFeedPage, resolveCategoryIds, toComments, toPost } = require('./src/community');
+
+// How many times a throttled navigation is retried before giving up
+const MAX_THROTTLE_RETRIES = 5;
+
+// Wait before the first retry round for failed modules; doubles every round
+const RETRY_BACKOFF_MS = 5000;
+
+// Community slug from a Skool URL, e.g. "my-group" for https://www.skool.com/my-group/classroom/abc
+function parseGroupSlug(url) {
+  try {
+    return new URL(url).pathname.split('/').filter(Boolean)[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Key-value store key of a state record, e.g. CLASSROOM_STATE-<hash of the classroom URL>
+function stateKey(prefix, identity) {
+  return `${prefix}-${crypto.createHash('sha1').update(identity).digest('hex').slice(0, 20)}`;
+}
+
+// Classroom URL without the ?md= module selector, so every lesson of a course maps to the same state
+function classroomIdentity(url) {
+  return String(url || '').split('?')[0].replace(/\/+$/, '');
+}
+
+// Stop paginating a community feed after this many pages, even if it seems to go on
+const MAX_FEED_PAGES = 500;
+
+// Excel cells hold at most 32,767 characters; longer content continues on extra rows
+const EXCEL_CELL_LIMIT = 32000;
 
 class SkoolScraper {
-  constructor() {
+  constructor(options = {}) {
     this.browser = null;
     this.page = null;
-    this.data = [];
+    this.workerPages = []; // Extra tabs opened for concurrent module scraping
     this.shouldMigrate = false;
+    this.contentFormat = options.contentFormat || 'text'; // text, markdown or html
+    // DOM selectors tried in order when the page JSON has no lesson body
+    this.contentSelectors = Array.isArray(options.contentSelectors) && options.contentSelectors.length > 0
+      ? options.contentSelectors
+      : DEFAULT_CONTENT_SELECTORS;
+    // Add a JSON block tree of each lesson. The chunks export needs it to find headings in any content format.
+    this.includeBlocks = Boolean(options.includeBlocks) || (options.outputFormats || []).includes('chunks');
+    this.chunkOptions = chunkOptions(options); // Target size and overlap of the chunks export, in tokens
+    this.downloadAssets = Boolean(options.downloadAssets); // Copy lesson images and files to the key-value store
+    this.assetDownloader = null;
+    this.transcripts = Boolean(options.transcripts); // Fetch caption transcripts of lesson videos
+    this.transcriptLanguages = options.transcriptLanguages || []; // Preferred caption languages, in order
+    this.transcriptEndpoints = options.transcriptEndpoints || {}; // Caption provider origins; tests point them at a local server
+    this.transcriptFetcher = null;
+    this.browserProfile = createBrowserProfile(options); // User agent, viewport, locale and timezone of every tab
+    this.userAgent = null; // Resolved at launch, from the profile or the launched Chromium's version
+    this.userAgentOverride = null; // page.setUserAgent() arguments: the user agent, client hints and navigator.platform
+    this.proxyConfiguration = options.proxyConfiguration || null; // Apify Proxy or custom proxy URLs
+    this.proxySessionId = null; // One proxy session per login, so the whole logged-in run keeps its IP
+    this.proxyCredentials = null;
+    this.proxyUrl = null; // Also used by asset and caption downloads
+    this.baseUrl = (options.baseUrl || 'https://www.skool.com').replace(/\/+$/, ''); // Skool's origin; tests point it at a local server
+    this.navigationTimeout = parseInt(options.navigationTimeout, 10) || 50000; // Page load timeout of a lesson
+    const { hostname } = new URL(this.baseUrl);
+    this.sessionCookies = normalizeSessionCookies( // Cookies of an existing login (SSO, Google)
+      options.sessionCookies,
+      /(^|\.)skool\.com$/.test(hostname) ? '.skool.com' : hostname
+    );
+    // Key-value record of this account's saved login; login() sets it from the email when the constructor had none
+    this.sessionKey = sessionStoreKey({ email: options.email, cookies: this.sessionCookies });
+    this.sessionStoreName = options.sessionStoreName || 'skool-sessions'; // Named store, so later runs find the login too
+    this.account = null; // Logged-in Skool user ({ userId, email }) when Skool's pages report it
+    this.sessionScriptId = null; // evaluateOnNewDocument script restoring a saved session's localStorage
+    this.incremental = Boolean(options.incremental); // Skip lessons unchanged since the last snapshot
+    this.snapshotStoreName = options.snapshotStoreName || 'skool-snapshots';
+    this.snapshot = null; // Previous snapshot of the current course
+    this.selection = createSelection(options); // Section and module filters, checked before any lesson is loaded
+    this.structureOnly = Boolean(options.structureOnly); // Dry run: output the outline without visiting lessons
+    this.maxConcurrency = Math.min(Math.max(parseInt(options.maxConcurrency, 10) || 1, 1), 10);
+    // Extra attempts for modules that failed with a transient error (timeout, navigation, extraction, lost login)
+    const maxRetries = parseInt(options.maxRetries, 10);
+    this.maxRetries = Number.isNaN(maxRetries) ? 2 : Math.min(Math.max(maxRetries, 0), 10);
+    this.credentials = null; // Kept after login to log in again when the session is lost mid-run
+    const delayBetweenRequests = parseInt(options.delayBetweenRequests, 10);
+    this.scheduler = new RequestScheduler({
+      minDelay: Number.isNaN(delayBetweenRequests) ? 2000 : Math.max(delayBetweenRequests, 0)
+    });
+    // Saved states older than this are ignored; 0 keeps them until the next reset
+    const stateTtlMinutes = parseInt(options.stateTtlMinutes, 10);
+    this.stateTtlMs = (Number.isNaN(stateTtlMinutes) ? 60 : Math.max(stateTtlMinutes, 0)) * 60000;
+    this.resetState = Boolean(options.resetState); // Start over instead of resuming an earlier run's progress
+    this.stateStoreName = options.stateStoreName || 'skool-state'; // Named store, so later runs can resume the progress
+    // The run state is keyed by what the run scrapes, so runs over different classrooms or with
+    // different filters don't share it. Module progress is kept per classroom and still carries over.
+    const targets = [options.communityUrl, options.classroomUrl, ...(options.classroomUrls || [])]
+      .filter(Boolean)
+      .map(classroomIdentity);
+    if (this.selection.active || this.structureOnly) {
+      targets.push(JSON.stringify({ ...describeSelection(this.selection), structureOnly: this.structureOnly }));
+    }
+    this.stateKey = stateKey('SCRAPER_STATE', targets.join('\n'));
     this.currentState = {
       step: 'initializing',
+      courses: null, // Courses to scrape in this run, resolved once after login
+      currentCourseIndex: 0,
       processedModules: 0,
       totalModules: 0,
-      currentModule: null,
-      scrapedData: []
+      currentModule: null
     };
+    // Progress of the current classroom: { classroomUrl, modules: { [moduleId]: { status, attempts, title, result } },
+    // pushedKeys: { [itemKey]: true } } where pushedKeys lists the modules already in this run's dataset
+    this.classroomState = null;
+    this.stateWrite = Promise.resolve(); // Serializes state writes from concurrent workers
     this.baseClassroomUrl = null; // Store base URL for constructing module URLs
   }
 
@@ -23,33 +139,72 @@ class SkoolScraper {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  // Save current progress state
+  // Saved states are reused unless they expired, or resetState is on and they
+  // come from an earlier run. A run resumed after a migration keeps its run ID,
+  // so resetState does not throw away its own progress.
+  isReusableState(savedState) {
+    if (!savedState || !savedState.timestamp) {
+      return false;
+    }
+    if (this.stateTtlMs > 0 && savedState.timestamp < Date.now() - this.stateTtlMs) {
+      return false;
+    }
+    return !this.resetState || this.isOwnState(savedState);
+  }
+
+  // Key-value store of the progress records. The default store is new in every
+  // platform run and emptied at the start of a local one, so it would only cover migrations.
+  stateStore() {
+    return Actor.openKeyValueStore(this.stateStoreName);
+  }
+
+  // Write a state record; writes are queued so an older state never overwrites a newer one
+  writeState(key, value) {
+    this.stateWrite = this.stateWrite
+      .then(async () => (await this.stateStore()).setValue(key, { ...value, runId: Actor.getEnv().actorRunId || null, timestamp: Date.now() }))
+      .catch((error) => console.error(`Failed to save ${key}:`, error.message));
+    return this.stateWrite;
+  }
+
+  // Save current progress state: the run's course list and position, and the current classroom's module map
   async saveState() {
-    try {
-      await Actor.setValue('SCRAPER_STATE', {
-        ...this.currentState,
-        scrapedData: this.data,
-        timestamp: Date.now()
-      });
-      console.log('State saved successfully');
-    } catch (error) {
-      console.error('Failed to save state:', error.message);
+    await this.writeState(this.stateKey, this.currentState);
+    if (this.classroomState) {
+      await this.saveClassroomState();
     }
+    console.log('State saved successfully');
+  }
+
+  // Whether a saved state was written by this very run, before a migration. Local runs
+  // have no run ID and never migrate, so their saved states always come from an earlier run.
+  isOwnState(savedState) {
+    const { actorRunId } = Actor.getEnv();
+    return Boolean(actorRunId) && savedState.runId === actorRunId;
   }
 
   // Load previous progress state
   async loadState() {
     try {
-      const savedState = await Actor.getValue('SCRAPER_STATE');
-      if (savedState && savedState.timestamp) {
-        // Only restore if saved within last hour (3600000ms)
-        const hourAgo = Date.now() - 3600000;
-        if (savedState.timestamp > hourAgo) {
-          this.currentState = { ...this.currentState, ...savedState };
-          this.data = savedState.scrapedData || [];
-          console.log(`Restored state: ${this.currentState.step}, processed ${this.currentState.processedModules} modules`);
-          return true;
+      const savedState = await (await this.stateStore()).getValue(this.stateKey);
+      if (this.isReusableState(savedState)) {
+        const { runId, timestamp, ...state } = savedState;
+        if (!this.isOwnState(savedState)) {
+          // A finished run is not resumed: this run starts over, ignoring the classroom progress too
+          if (state.step === 'completed') {
+            console.log('The previous run over these classrooms finished, starting over');
+            this.resetState = true;
+            return false;
+          }
+          // An interrupted one is, from the first course: this run's dataset doesn't have the
+          // courses it finished yet, and their modules come back from the classroom states
+          state.currentCourseIndex = 0;
         }
+        this.currentState = { ...this.currentState, ...state };
+        console.log(`Restored state: ${this.currentState.step}, course ${this.currentState.currentCourseIndex + 1}`);
+        return true;
+      }
+      if (savedState && this.resetState) {
+        console.log('Reset requested, ignoring the saved state');
       }
       return false;
     } catch (error) {
@@ -58,6 +213,47 @@ class SkoolScraper {
     }
   }
 
+  async saveClassroomState() {
+    await this.writeState(this.classroomState.key, this.classroomState);
+  }
+
+  // Load the module map of a classroom, or start an empty one
+  async loadClassroomState(classroomUrl) {
+    const identity = classroomIdentity(classroomUrl);
+    const key = stateKey('CLASSROOM_STATE', identity);
+    this.classroomState = { key, classroomUrl: identity, modules: {}, pushedKeys: {} };
+
+    try {
+      const savedState = await (await this.stateStore()).getValue(key);
+      if (this.isReusableState(savedState)) {
+        this.classroomState.modules = savedState.modules || {};
+      }
+      // Pushed items only count when they are in this run's dataset: a later run, or a
+      // local run that emptied its storage, writes to a dataset without them
+      this.classroomState.pushedKeys = await this.pushedItemKeys();
+    } catch (error) {
+      console.error('Failed to load classroom state:', error.message);
+    }
+    return this.classroomState;
+  }
+
+  // Item keys of the modules already in this run's dataset. The state is saved after
+  // pushData, so its own list could miss an item pushed just before a migration.
+  async pushedItemKeys() {
+    const pushedKeys = {};
+    try {
+      const dataset = await Actor.openDataset();
+      await dataset.forEach(async (item) => {
+        if (item.type === 'module' && item.itemKey) {
+          pushedKeys[item.itemKey] = true;
+        }
+      });
+    } catch (error) {
+      console.error('Failed to read pushed items:', error.message);
+    }
+    return pushedKeys;
+  }
+
   // Check if migration is needed
   checkMigration() {
     return this.shouldMigrate;
@@ -73,6 +269,9 @@ class SkoolScraper {
     
     // Close browser gracefully
     if (this.browser) {
+      // Keep the login for the resumed run
+      await this.saveSession();
+
       await this.browser.close();
       this.browser = null;
     }
@@ -88,38 +287,295 @@ class SkoolScraper {
       return;
     }
 
+    const proxy = await this.resolveProxy();
     this.browser = await puppeteer.launch({
       headless: true,
       defaultViewport: null,
-      args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+      args: [
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-dev-shm-usage",
+        `--lang=${this.browserProfile.locale}`,
+        ...(proxy ? [`--proxy-server=${proxy.server}`] : []),
+      ],
     });
-    this.page = await this.browser.newPage();
-
-    // Set user agent to avoid detection
-    await this.page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"
-    );
-
-    // Set viewport
-    await this.page.setViewport({ width: 1366, height: 768 });
+    const browserVersion = await this.browser.version();
+    this.userAgent = this.browserProfile.userAgent || defaultUserAgent(browserVersion);
+    this.userAgentOverride = userAgentOverride(this.userAgent, browserVersion);
+    this.page = await this.createPage();
     
     if (!resumed) {
       this.currentState.step = 'initialized';
     }
   }
 
+  // The proxy this run goes through, if any. The proxy session ID is saved with
+  // the account's login (SCRAPER_SESSION-…), so resumed and later runs keep its IP.
+  async resolveProxy() {
+    if (!this.proxyConfiguration) {
+      return null;
+    }
+    const proxyConfiguration = await Actor.createProxyConfiguration(this.proxyConfiguration);
+    if (!proxyConfiguration) {
+      return null;
+    }
+
+    const savedSession = this.sessionKey ? await (await this.sessionStore()).getValue(this.sessionKey) : null;
+    this.proxySessionId = (savedSession && savedSession.proxySessionId) || newProxySessionId();
+    this.proxyUrl = await proxyConfiguration.newUrl(this.proxySessionId);
+    const proxy = proxyLaunchOptions(this.proxyUrl);
+    this.proxyCredentials = proxy.credentials;
+
+    console.log(`Using proxy ${proxy.server} (session ${this.proxySessionId})`);
+    return proxy;
+  }
+
+  // Open a new tab in the shared browser session with the configured fingerprint
+  async createPage() {
+    const page = await this.browser.newPage();
+
+    if (this.proxyCredentials) {
+      await page.authenticate(this.proxyCredentials);
+    }
+
+    // User agent with matching client hints and navigator.platform
+    await page.setUserAgent(this.userAgentOverride);
+    await page.setViewport(this.browserProfile.viewport);
+    await page.setExtraHTTPHeaders({ 'Accept-Language': acceptLanguage(this.browserProfile.locale) });
+    if (this.browserProfile.timezone) {
+      await page.emulateTimezone(this.browserProfile.timezone);
+    }
+
+    return page;
+  }
+
+  // Get one page per worker: the main page plus extra tabs sharing the login cookies
+  async getWorkerPages(count) {
+    while (this.workerPages.length < count - 1) {
+      this.workerPages.push(await this.createPage());
+    }
+    return [this.page, ...this.workerPages.slice(0, count - 1)];
+  }
+
+  // Close the extra worker tabs once scraping is done
+  async closeWorkerPages() {
+    const pages = this.workerPages;
+    this.workerPages = [];
+    for (const page of pages) {
+      try {
+        await page.close();
+      } catch (error) {
+        console.log('Failed to close worker page:', error.message);
+      }
+    }
+  }
+
+  // Navigate through the request scheduler, backing off and retrying while Skool throttles us
+  async navigate(page, url, options) {
+    for (let attempt = 1; ; attempt++) {
+      await this.scheduler.waitForSlot();
+      const response = await page.goto(url, options);
+
+      const throttle = await this.detectThrottling(page, response);
+      if (!throttle) {
+        this.scheduler.reportSuccess();
+        return response;
+      }
+
+      this.scheduler.reportThrottled(throttle.retryAfterMs);
+      console.log(`⚠ Rate limited (${throttle.reason}), backing off to ${this.scheduler.currentDelay()}ms between requests`);
+
+      if (attempt >= MAX_THROTTLE_RETRIES) {
+        throw new Error(`Rate limited by Skool after ${attempt} attempts: ${throttle.reason}`);
+      }
+    }
+  }
+
+  // Recognize 429/503 responses and "too many requests" pages
+  async detectThrottling(page, response) {
+    const status = response ? response.status() : null;
+    if (status === 429 || status === 503) {
+      return {
+        reason: `HTTP ${status}`,
+        retryAfterMs: parseRetryAfter(response.headers()['retry-after'])
+      };
+    }
+
+    try {
+      const blockedText = await page.evaluate(() => {
+        // Regular Skool pages are Next.js pages, error pages are not
+        if (document.getElementById("__NEXT_DATA__")) {
+          return null;
+        }
+        const text = `${document.title} ${document.body ? document.body.innerText.slice(0, 500) : ''}`;
+        return /too many requests|rate limit/i.test(text) ? text.trim().slice(0, 100) : null;
+      });
+      return blockedText ? { reason: blockedText, retryAfterMs: 0 } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Key-value store of the saved logins. Unlike the default store it outlives the run.
+  sessionStore() {
+    return Actor.openKeyValueStore(this.sessionStoreName);
+  }
+
+  // Save the browser's cookies and Skool's localStorage so later and resumed runs stay logged in
+  async saveSession() {
+    if (!this.sessionKey) {
+      return;
+    }
+    try {
+      const cookies = await this.browser.cookies();
+      const localStorageData = await this.page.evaluate(() => {
+        const entries = {};
+        for (let i = 0; i < localStorage.length; i++) {
+          const key = localStorage.key(i);
+          entries[key] = localStorage.getItem(key);
+        }
+        return { origin: location.origin, entries };
+      });
+
+      await (await this.sessionStore()).setValue(this.sessionKey, {
+        cookies,
+        localStorage: localStorageData.origin.startsWith('http') ? localStorageData : null,
+        account: this.account,
+        proxySessionId: this.proxySessionId,
+        timestamp: Date.now()
+      });
+      console.log(`Session saved (${cookies.length} cookies)`);
+    } catch (error) {
+      console.error('Failed to save session:', error.message);
+    }
+  }
+
+  // Load the browser with a saved session: cookies now, localStorage as soon as its origin opens
+  async applySession(session) {
+    const cookies = normalizeSessionCookies(session.cookies);
+    if (cookies.length > 0) {
+      await this.browser.setCookie(...cookies);
+    }
+
+    if (session.localStorage) {
+      const { identifier } = await this.page.evaluateOnNewDocument((storage) => {
+        if (location.origin === storage.origin) {
+          Object.entries(storage.entries).forEach(([key, value]) => localStorage.setItem(key, value));
+        }
+      }, session.localStorage);
+      this.sessionScriptId = identifier;
+    }
+  }
+
+  // Drop a session that can't be used before trying the next one or the login form
+  async clearSession() {
+    const cookies = await this.browser.cookies();
+    if (cookies.length > 0) {
+      await this.browser.deleteCookie(...cookies);
+    }
+    if (this.sessionScriptId) {
+      await this.page.removeScriptToEvaluateOnNewDocument(this.sessionScriptId);
+      this.sessionScriptId = null;
+    }
+  }
+
+  // The logged-in user as the current page's __NEXT_DATA__ reports it, or null when it doesn't say
+  async loggedInAccount() {
+    try {
+      const pageProps = (await this.readNextData())?.props?.pageProps || {};
+      const user = pageProps.self?.user || pageProps.currentUser || null;
+      if (!user || !user.id) {
+        return null;
+      }
+      return { userId: user.id, email: user.email || user.metadata?.email || null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Who a restored session is logged in as when that isn't this run's account, else null
+  accountMismatch(current, saved) {
+    if (!current) {
+      return null;
+    }
+    const email = this.credentials && this.credentials.email;
+    if (email && current.email && current.email.toLowerCase() !== email.trim().toLowerCase()) {
+      return current.email;
+    }
+    if (saved && saved.userId && saved.userId !== current.userId) {
+      return `user ${current.userId}`;
+    }
+    return null;
+  }
+
+  // Skool sends logged-in users away from the login page
+  async isLoggedIn() {
+    try {
+      await this.navigate(this.page, `${this.baseUrl}/login`, {
+        waitUntil: "networkidle2",
+        timeout: 20000,
+      });
+      return !new URL(this.page.url()).pathname.startsWith('/login');
+    } catch (error) {
+      console.log('Could not validate session:', error.message);
+      return false;
+    }
+  }
+
+  // Try the account's session saved by an earlier run or before a migration, then the
+  // sessionCookies input. A session is only reused while it is logged in as this run's account.
+  async restoreSession() {
+    const candidates = [];
+
+    const savedSession = this.sessionKey ? await (await this.sessionStore()).getValue(this.sessionKey) : null;
+    if (savedSession && savedSession.cookies) {
+      candidates.push({ source: 'saved session', session: savedSession });
+    }
+    if (this.sessionCookies.length > 0) {
+      candidates.push({ source: 'sessionCookies input', session: { cookies: this.sessionCookies } });
+    }
+
+    for (const { source, session } of candidates) {
+      await this.applySession(session);
+      if (await this.isLoggedIn()) {
+        const account = await this.loggedInAccount();
+        const otherAccount = this.accountMismatch(account, session.account);
+        if (!otherAccount) {
+          this.account = account || session.account || null;
+          console.log(`Reusing ${source} - already authenticated`);
+          return true;
+        }
+        console.log(`⚠ The ${source} is logged in as ${otherAccount}, not as this run's account`);
+      } else {
+        console.log(`⚠ The ${source} has expired`);
+      }
+      await this.clearSession();
+    }
+
+    return false;
+  }
+
   async login(email, password) {
+    this.credentials = { email, password };
+    if (email) {
+      this.sessionKey = sessionStoreKey({ email });
+    }
     try {
-      // Skip if already logged in after migration
-      if (this.currentState.step === 'logged_in' || 
-          this.currentState.step === 'scraping' || 
-          this.currentState.step === 'completed') {
-        console.log('Skipping login - already authenticated');
+      // Skip the login form when a saved or provided session is still valid
+      if (await this.restoreSession()) {
+        if (this.currentState.step !== 'scraping') {
+          this.currentState.step = 'logged_in';
+        }
+        await this.saveSession();
         return;
       }
 
+      if (!email || !password) {
+        throw new Error('No valid session and no email/password to log in with');
+      }
+
       console.log("Navigating to login page...");
-      await this.page.goto("https://www.skool.com/login", {
+      await this.navigate(this.page, `${this.baseUrl}/login`, {
         waitUntil: "networkidle2",
         timeout: 20000,
       });
@@ -146,8 +602,10 @@ class SkoolScraper {
       await this.page.waitForNavigation({ waitUntil: "networkidle2" });
 
       console.log("Login successful!");
+      this.account = await this.loggedInAccount();
       this.currentState.step = 'logged_in';
       await this.saveState();
+      await this.saveSession();
 
       // Wait a bit for any redirects
       await this.delay(500);
@@ -160,7 +618,7 @@ class SkoolScraper {
   async navigateToClassroom(classroomUrl) {
     try {
       console.log("Navigating to classroom...");
-      await this.page.goto(classroomUrl, {
+      await this.navigate(this.page, classroomUrl, {
         waitUntil: "networkidle2",
         timeout: 30000,
       });
@@ -176,22 +634,193 @@ class SkoolScraper {
     }
   }
 
+  // Read and parse the page's __NEXT_DATA__ payload
+  async readNextData(page = this.page) {
+    const nextData = await page.evaluate(() => {
+      const scriptTag = document.getElementById("__NEXT_DATA__");
+      return scriptTag ? scriptTag.textContent : null;
+    });
+    return nextData ? JSON.parse(nextData) : null;
+  }
+
+  // List every course of a community from its classroom page, including locked ones
+  async discoverCourses(communityUrl) {
+    try {
+      const groupSlug = parseGroupSlug(communityUrl);
+      if (!groupSlug) {
+        throw new Error(`Not a Skool community URL: ${communityUrl}`);
+      }
+
+      const listingUrl = `${new URL(communityUrl).origin}/${groupSlug}/classroom`;
+      console.log(`Discovering courses of ${groupSlug}...`);
+      await this.navigate(this.page, listingUrl, {
+        waitUntil: "networkidle2",
+        timeout: 30000,
+      });
+
+      const parsedData = await this.readNextData();
+      const pageProps = parsedData?.props?.pageProps || {};
+      const allCourses = pageProps.allCourses || pageProps.courses || [];
+
+      const courses = allCourses.map((entry) => {
+        const course = entry.course || entry;
+        const metadata = course.metadata || {};
+        const { locked, lockReason } = accessOf(course);
+
+        return {
+          url: `${listingUrl}/${course.name}`,
+          groupSlug,
+          courseId: course.id || null,
+          title: metadata.title || course.name || "Untitled Course",
+          locked,
+          lockReason
+        };
+      });
+
+      console.log(`Found ${courses.length} courses in ${groupSlug} (${courses.filter((course) => course.locked).length} locked)`);
+      return courses;
+    } catch (error) {
+      console.error("Course discovery failed:", error.message);
+      throw error;
+    }
+  }
+
+  // Build the list of courses to scrape from communityUrl, classroomUrl and classroomUrls.
+  // Locked courses are reported and left out.
+  async resolveCourses({ communityUrl, classroomUrl, classroomUrls = [] }) {
+    const courses = communityUrl ? await this.discoverCourses(communityUrl) : [];
+
+    [classroomUrl, ...classroomUrls].filter(Boolean).forEach((url) => {
+      courses.push({ url, groupSlug: parseGroupSlug(url), courseId: null, title: null, locked: false, lockReason: null });
+    });
+
+    const locked = courses.filter((course) => course.locked);
+    locked.forEach((course) => {
+      console.log(`🔒 Skipping locked course "${course.title}": ${course.lockReason}`);
+    });
+
+    const seen = new Set();
+    const accessible = courses.filter((course) => {
+      const key = course.url.split('?')[0];
+      if (course.locked || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+    await Actor.setValue('COMMUNITY_COURSES', { courses: accessible, locked });
+    return accessible;
+  }
+
+  // Open a Skool page that must be read logged in, e.g. a feed page or a post
+  async openGroupPage(url) {
+    const response = await this.navigate(this.page, url, {
+      waitUntil: "networkidle2",
+      timeout: this.navigationTimeout,
+    });
+
+    const httpStatus = response ? response.status() : null;
+    if (httpStatus >= 400) {
+      throw new Error(`HTTP ${httpStatus} for ${url}`);
+    }
+    if (new URL(this.page.url()).pathname.startsWith('/login')) {
+      throw new Error(`Redirected to the login page from ${url}`);
+    }
+    return this.readNextData();
+  }
+
+  // Turn a stored post or comment body into the configured content format, like lesson bodies
+  formatPostBody(value) {
+    const html = bodyToHtml(value);
+    return html ? this.formatContent(html) : '';
+  }
+
+  // Scrape a community's feed, newest first: the posts created between since and until
+  // (in the given categories, by name or ID), each with its threaded comments
+  async scrapeCommunity(communityUrl, { since, until, categories = [] } = {}) {
+    const groupSlug = parseGroupSlug(communityUrl);
+    if (!groupSlug) {
+      throw new Error(`Not a Skool community URL: ${communityUrl}`);
+    }
+    const groupUrl = `${new URL(communityUrl).origin}/${groupSlug}`;
+    const range = parseDateRange({ since, until });
+
+    try {
+      console.log(`Reading the community feed of ${groupSlug}...`);
+      const firstPage = parseFeedPage(await this.openGroupPage(feedPageUrl(groupUrl, 1)));
+      const categoryIds = resolveCategoryIds(firstPage.categories, categories);
+      const options = { groupUrl, categories: firstPage.categories, formatBody: (value) => this.formatPostBody(value) };
+
+      const posts = [];
+      const seen = new Set();
+      // Without a category filter the unfiltered feed is read once; with one, each category's feed
+      for (const categoryId of categoryIds.length > 0 ? categoryIds : [null]) {
+        for (let pageNumber = 1; pageNumber <= MAX_FEED_PAGES; pageNumber++) {
+          const feedPage = pageNumber === 1 && !categoryId
+            ? firstPage
+            : parseFeedPage(await this.openGroupPage(feedPageUrl(groupUrl, pageNumber, categoryId)));
+
+          const pagePosts = feedPage.postTrees.map((postTree) => toPost(postTree, options));
+          const newPosts = pagePosts.filter((post) => !seen.has(post.id));
+          newPosts.forEach((post) => seen.add(post.id));
+          posts.push(...newPosts.filter((post) => inDateRange(post, range)));
+          console.log(`Feed page ${pageNumber}${categoryId ? ` of ${options.categories.get(categoryId)}` : ''}: ${pagePosts.length} posts`);
+
+          // Pinned posts stay on top whatever their age, so only the others tell when we're past `since`
+          const regular = pagePosts.filter((post) => !post.pinned);
+          const pastSince = range.since && regular.length > 0 && regular.every((post) => new Date(post.createdAt) < range.since);
+          if (newPosts.length === 0 || pastSince || (feedPage.totalPages && pageNumber >= feedPage.totalPages)) {
+            break;
+          }
+        }
+      }
+
+      console.log(`Found ${posts.length} posts, loading their comments...`);
+      for (const post of posts) {
+        post.comments = [];
+        if (post.commentCount === 0) {
+          continue;
+        }
+        try {
+          const pageProps = (await this.openGroupPage(post.url))?.props?.pageProps || {};
+          post.comments = toComments(pageProps.postTree ? pageProps.postTree.children : [], options.formatBody);
+        } catch (error) {
+          console.error(`Could not load the comments of "${post.title}":`, error.message);
+          post.commentsError = error.message;
+        }
+      }
+
+      return { groupSlug, groupUrl, categories: Array.from(options.categories.values()), posts };
+    } catch (error) {
+      console.error("Community feed scraping failed:", error.message);
+      throw error;
+    }
+  }
+
+  // Reset the per-course progress before moving on to the next course
+  startNextCourse(courseIndex) {
+    this.currentState.currentCourseIndex = courseIndex;
+    this.snapshot = null;
+    this.classroomState = null;
+    this.currentState.processedModules = 0;
+    this.currentState.totalModules = 0;
+    this.currentState.currentModule = null;
+  }
+
   async extractCourseStructure() {
     try {
       console.log("Extracting course structure from __NEXT_DATA__...");
 
-      const nextData = await this.page.evaluate(() => {
-        const scriptTag = document.getElementById("__NEXT_DATA__");
-        return scriptTag ? scriptTag.textContent : null;
-      });
+      const parsedData = await this.readNextData();
 
-      if (!nextData) {
+      if (!parsedData) {
         console.log("No __NEXT_DATA__ found");
         return null;
       }
 
-      const parsedData = JSON.parse(nextData);
-      const courseData = parsedData.props?.pageProps?.course;
+      const pageProps = parsedData.props?.pageProps || {};
+      const courseData = pageProps.course;
 
       if (!courseData) {
         console.log("No course data found in __NEXT_DATA__");
@@ -199,35 +828,55 @@ class SkoolScraper {
       }
 
       // Extract the main course information
-      const mainCourse = courseData.course;
-      const children = courseData.children || [];
-
-      // Process each top-level section (sets)
-      const extractedCourses = children.map((section) => {
-        const sectionCourse = section.course;
-        const sectionChildren = section.children || [];
-
-        // Extract modules from this section
-        const childrenCourses = sectionChildren.map((module) => {
-          const moduleData = module.course;
-          const metadata = moduleData.metadata || {};
-          const Id = moduleData.id || null;
-          
-          return {
-            title: metadata.title || moduleData.name || "Untitled Module",
-            videoLink: metadata.videoLink || null,
-            Id: Id,
-            content: null // Will be populated during scraping
-          };
+      const mainCourse = courseData.course || {};
+      const courseTitle = mainCourse.metadata?.title || mainCourse.name || "Untitled Course";
+
+      // Walk the whole outline, however deep the folders go
+      const tree = this.buildCourseTree(courseData, null, 0, 0, [], null, completedIdsOf(pageProps));
+
+      // Group lessons into sections: every run of lessons sharing a parent
+      // becomes a section, so the sections follow the outline's reading order
+      const extractedCourses = [];
+      const collectSections = (node) => {
+        let currentSection = null;
+        node.children.forEach((child) => {
+          if (child.type === 'lesson') {
+            if (!currentSection) {
+              currentSection = {
+                courseTitle: node.depth === 0 ? courseTitle : node.title,
+                Id: node.id,
+                parentId: node.parentId,
+                depth: node.depth,
+                path: node.path,
+                breadcrumb: node.path.join(' › '),
+                access: node.access,
+                childrenCourses: [],
+              };
+              extractedCourses.push(currentSection);
+            }
+            currentSection.childrenCourses.push(this.toModule(child));
+          } else {
+            currentSection = null;
+            collectSections(child);
+          }
         });
-
-        return {
-          courseTitle: sectionCourse.metadata?.title || sectionCourse.name || "Untitled Course",
-          childrenCourses: childrenCourses,
-        };
+      };
+      collectSections(tree);
+      extractedCourses.forEach((section) => {
+        section.progress = progressOf(section.childrenCourses);
       });
 
+      const allModules = extractedCourses.flatMap((section) => section.childrenCourses);
+      const metadata = mainCourse.metadata || {};
       const result = {
+        title: courseTitle,
+        groupSlug: parseGroupSlug(this.baseClassroomUrl),
+        courseId: mainCourse.id || null,
+        classroomUrl: this.baseClassroomUrl,
+        contentFormat: this.contentFormat,
+        access: tree.access,
+        progress: progressOf(allModules, metadata.percentComplete ?? metadata.progress),
+        tree: this.outlineOf(tree),
         sections: extractedCourses,
       };
 
@@ -237,7 +886,7 @@ class SkoolScraper {
       const totalModules = extractedCourses.reduce((count, section) => 
         count + section.childrenCourses.length, 0
       );
-      console.log(`Total modules found: ${totalModules}`);
+      console.log(`Total modules found: ${totalModules} (${allModules.filter((module) => module.access.locked).length} locked, ${result.progress.percentComplete}% complete)`);
 
       return result;
     } catch (error) {
@@ -246,19 +895,95 @@ class SkoolScraper {
     }
   }
 
+  // Recursively turn a __NEXT_DATA__ course node into { id, type, title, depth, order, parentId, path, access, children }
+  buildCourseTree(node, parentId, depth, order, parentPath, parentAccess = null, completedIds = new Set()) {
+    const course = node.course || {};
+    const metadata = course.metadata || {};
+    const children = node.children || [];
+    const title = metadata.title || course.name || (depth === 0 ? "Untitled Course" : "Untitled Module");
+
+    // Skool marks folders as "set" and lessons as "module"; fall back to whether the node has children
+    let type = 'folder';
+    if (depth === 0) {
+      type = 'course';
+    } else if (course.unitType === 'module' || (!course.unitType && children.length === 0)) {
+      type = 'lesson';
+    }
+
+    const id = course.id || null;
+    const path = [...parentPath, title];
+    const access = accessOf(course, parentAccess, { completedIds });
+
+    return {
+      id,
+      type,
+      title,
+      depth,
+      order,
+      parentId,
+      path,
+      updatedAt: course.updatedAt || metadata.updatedAt || null,
+      access,
+      metadata,
+      children: children.map((child, index) => this.buildCourseTree(child, id, depth + 1, index, path, access, completedIds)),
+    };
+  }
+
+  // Module record for a lesson node of the course tree
+  toModule(node) {
+    return {
+      title: node.title,
+      videoLink: node.metadata.videoLink || null,
+      video: videoFromMetadata(node.metadata),
+      resources: resourcesFromMetadata(node.metadata),
+      Id: node.id,
+      type: node.type,
+      parentId: node.parentId,
+      depth: node.depth,
+      order: node.order,
+      path: node.path,
+      breadcrumb: node.path.join(' › '),
+      updatedAt: node.updatedAt,
+      access: node.access,
+      content: null // Will be populated during scraping
+    };
+  }
+
+  // The course tree without the raw metadata, for the outline output
+  outlineOf(node) {
+    const { metadata, children, ...outline } = node;
+    return { ...outline, children: children.map((child) => this.outlineOf(child)) };
+  }
+
   // Generate module URL using the base classroom URL and module ID
-  generateModuleUrl(moduleId) {
-    if (!this.baseClassroomUrl || !moduleId) {
+  generateModuleUrl(moduleId, classroomUrl = this.baseClassroomUrl) {
+    if (!classroomUrl || !moduleId) {
       return null;
     }
 
     // Extract the base part of the URL (before any query parameters)
-    const baseUrl = this.baseClassroomUrl.split('?')[0];
+    const baseUrl = classroomUrl.split('?')[0];
     
     // Construct the module URL with the ID
     return `${baseUrl}?md=${moduleId}`;
   }
 
+  // Keep only the modules picked by the section and module filters. The
+  // outline in `tree` stays complete; `selection` records what was left out.
+  applySelection(courseStructure) {
+    if (!this.selection.active) {
+      return courseStructure;
+    }
+
+    const totalModules = courseStructure.sections.reduce((count, section) => count + section.childrenCourses.length, 0);
+    const { sections, selectedModules, skippedIds } = selectModules(courseStructure.sections, this.selection);
+    courseStructure.sections = sections;
+    courseStructure.selection = { filters: describeSelection(this.selection), selectedModules, skippedIds };
+
+    console.log(`Selected ${selectedModules} of ${totalModules} modules`);
+    return courseStructure;
+  }
+
   async scrapeDirectWithIds() {
     try {
       console.log("Starting direct scraping using module IDs...");
@@ -270,11 +995,23 @@ class SkoolScraper {
         throw new Error("Failed to extract course structure");
       }
 
-      // Collect all modules with their IDs
+      this.applySelection(courseStructure);
+
+      // Collect all modules with their IDs. Locked modules can't be opened, so they are never loaded.
       const allModules = [];
+      const unscrapable = []; // Locked and ID-less modules, finished without a page load
       courseStructure.sections.forEach((section, sectionIndex) => {
         section.childrenCourses.forEach((module, moduleIndex) => {
-          if (module.Id) {
+          if (module.access && module.access.locked) {
+            console.log(`🔒 Module "${module.title}" is locked (${module.access.lockReason}), skipping...`);
+            Object.assign(module, {
+              status: MODULE_STATUS.LOCKED,
+              content: '',
+              error: { message: module.access.lockReason, name: 'ModuleError', retryable: false },
+              attempts: 0
+            });
+            unscrapable.push({ sectionIndex, moduleIndex });
+          } else if (module.Id) {
             allModules.push({
               ...module,
               sectionIndex,
@@ -283,6 +1020,13 @@ class SkoolScraper {
             });
           } else {
             console.log(`⚠ Module "${module.title}" has no ID, skipping...`);
+            Object.assign(module, {
+              status: MODULE_STATUS.NAVIGATION_ERROR,
+              content: '',
+              error: { message: 'Module has no ID', name: 'ModuleError', retryable: false },
+              attempts: 0
+            });
+            unscrapable.push({ sectionIndex, moduleIndex });
           }
         });
       });
@@ -290,482 +1034,1063 @@ class SkoolScraper {
       console.log(`Found ${allModules.length} modules with IDs to scrape`);
       this.currentState.totalModules = allModules.length;
 
-      // Process each module directly using its ID
-      for (let i = this.currentState.processedModules; i < allModules.length; i++) {
-        const module = allModules[i]; // Define module outside try block
-        
-        try {
-          // Check for migration before processing each module
-          if (this.checkMigration()) {
-            console.log('Migration requested, saving progress...');
-            this.currentState.processedModules = i;
-            await this.prepareMigration();
-            throw new Error('Migration in progress');
+      // Put back modules finished by an earlier attempt. The state is keyed by
+      // module ID, so it stays correct when the outline changed in between;
+      // unfinished modules and failures that may still succeed are scraped again.
+      const { modules: moduleStates } = await this.loadClassroomState(this.baseClassroomUrl);
+      const completed = new Set();
+      allModules.forEach((module) => {
+        const saved = moduleStates[module.Id];
+        if (saved && (saved.status === 'done' || (saved.status === 'failed' && !this.shouldRetry(saved.result)))) {
+          Object.assign(this.moduleSlot(courseStructure, module), saved.result);
+          completed.add(module.Id);
+        } else {
+          moduleStates[module.Id] = { status: 'pending', attempts: 0, ...saved, title: module.title };
+        }
+      });
+      this.currentState.processedModules = completed.size;
+      await this.saveClassroomState();
+
+      // In incremental mode, lessons whose updatedAt and title match the last
+      // snapshot get their stored record back and are not visited at all
+      const unchanged = new Set();
+      if (this.incremental) {
+        await this.loadSnapshot(courseStructure);
+        const previous = (this.snapshot && this.snapshot.modules) || {};
+        for (const module of allModules) {
+          const before = previous[module.Id];
+          if (!completed.has(module.Id) && before && module.updatedAt && before.updatedAt === module.updatedAt && before.title === module.title) {
+            const result = await this.loadSnapshotRecord(before);
+            if (result) {
+              Object.assign(this.moduleSlot(courseStructure, module), result);
+              unchanged.add(module.Id);
+            }
           }
+        }
+        console.log(`Incremental mode: ${unchanged.size} modules unchanged since the last snapshot`);
+      }
 
-          console.log(`Processing module ${i + 1}/${allModules.length}: ${module.title} (ID: ${module.Id})`);
-          
-          this.currentState.currentModule = module.title;
+      // Modules that are already final go to the dataset now: locked and ID-less ones, and
+      // those restored from an earlier attempt that didn't reach this run's dataset yet
+      for (const { sectionIndex, moduleIndex } of unscrapable) {
+        await this.pushModuleItem(courseStructure, sectionIndex, moduleIndex);
+      }
+      for (const module of allModules.filter((candidate) => completed.has(candidate.Id))) {
+        await this.pushModuleItem(courseStructure, module.sectionIndex, module.moduleIndex);
+      }
+      await this.saveClassroomState();
 
-          // Generate the direct URL for this module
-          const moduleUrl = this.generateModuleUrl(module.Id);
-          if (!moduleUrl) {
-            console.log(`⚠ Could not generate URL for module: ${module.title}`);
-            courseStructure.sections[module.sectionIndex].childrenCourses[module.moduleIndex].content = "No URL generated";
-            continue;
-          }
+      // Queue of modules still to scrape, shared by all workers
+      const queue = allModules.filter((module) => !completed.has(module.Id) && !unchanged.has(module.Id));
+      if (completed.size > 0) {
+        console.log(`Resuming: ${completed.size} modules already scraped, ${queue.length} remaining`);
+      }
+
+      const workerCount = Math.max(Math.min(this.maxConcurrency, queue.length), 1);
+      const pages = await this.getWorkerPages(workerCount);
+      console.log(`Scraping with ${workerCount} concurrent page(s)`);
+
+      await this.runModuleQueue(courseStructure, queue, allModules, pages);
+
+      // Retry pass: transient failures are queued again after a growing pause
+      for (let round = 1; round <= this.maxRetries && !this.checkMigration(); round++) {
+        const retryQueue = allModules.filter((module) => this.shouldRetry(this.moduleSlot(courseStructure, module)));
+        if (retryQueue.length === 0) {
+          break;
+        }
+
+        const backoff = RETRY_BACKOFF_MS * 2 ** (round - 1);
+        console.log(`Retry round ${round}/${this.maxRetries}: ${retryQueue.length} failed modules, waiting ${backoff}ms`);
+        await this.delay(backoff);
+
+        if (retryQueue.some((module) => this.moduleSlot(courseStructure, module).status === MODULE_STATUS.AUTH_LOST)) {
+          await this.reauthenticate();
+        }
+
+        await this.runModuleQueue(courseStructure, retryQueue, allModules, pages);
+      }
+
+      if (this.checkMigration()) {
+        console.log('Migration requested, saving progress...');
+        await this.prepareMigration();
+        throw new Error('Migration in progress');
+      }
+
+      // Failures still waiting for a retry when the rounds ran out are final now
+      for (const module of allModules) {
+        await this.pushModuleItem(courseStructure, module.sectionIndex, module.moduleIndex);
+      }
+      await this.saveClassroomState();
+
+      await this.closeWorkerPages();
+
+      return courseStructure;
+    } catch (error) {
+      console.error("Error in direct ID scraping:", error.message);
+      throw error;
+    }
+  }
+
+  // Scrape the queued modules with one worker per page until the queue is empty
+  async runModuleQueue(courseStructure, queue, allModules, pages) {
+    const worker = async (page) => {
+      while (queue.length > 0) {
+        // Check for migration before processing each module
+        if (this.checkMigration()) {
+          return;
+        }
+
+        const module = queue.shift();
+        const position = allModules.indexOf(module) + 1;
+
+        try {
+          console.log(`Processing module ${position}/${allModules.length}: ${module.title} (ID: ${module.Id})`);
+
+          this.currentState.currentModule = module.title;
+
+          const scraped = await this.scrapeModule(page, module);
+
+          // Add the content directly to the course structure
+          await this.recordModuleResult(courseStructure, module, scraped);
+
+          console.log(`✅ Scraped content for: ${module.title} (${scraped.status}, ${scraped.content.length} characters)`);
 
-          // Navigate directly to the module with shorter timeout
-          await this.page.goto(moduleUrl, {
-            waitUntil: "networkidle2",
-            timeout: 50000,
-          });
-
-          // Quick content check - if no content found quickly, skip waiting
-          // const hasContent = await this.quickContentCheck();
-          
-          // if (hasContent) {
-            // Give a bit more time for content to fully load
-            await this.delay(1000);
-          // } else {
-          //   console.log(`⚠ No content detected for ${module.title}, skipping extended wait`);
-          // }
-
-          // Extract content from this module
-          const scrapedContent = await this.extractTextContent();
-          // const options = {
-          //   wordwrap: null,
-          //   // ...
-          // };
-          // const text = htmlToText(scrapedContent, options);
-          // console.log(text,"text");
-          // Add the content directly to the course structure
-          courseStructure.sections[module.sectionIndex].childrenCourses[module.moduleIndex].content = scrapedContent;
-
-          console.log(`✅ Scraped content for: ${module.title} (${scrapedContent.length} characters)`);
-          
-          // Update progress
-          this.currentState.processedModules = i + 1;
-          
-          // Save state every 3 modules
-          if ((i + 1) % 3 === 0) {
-            await this.saveState();
-          }
-          
         } catch (error) {
-          if (error.message === 'Migration in progress') {
-            throw error; // Re-throw migration errors
-          }
-          
           // Check for migration-related errors (frame detached usually means migration)
           if (error.message.includes('detached') || error.message.includes('session') || this.checkMigration()) {
             console.log('Migration-related error detected, saving progress...');
-            this.currentState.processedModules = i;
-            await this.prepareMigration();
-            throw new Error('Migration in progress');
+            // Leave the module unfinished so it is picked up again after the migration
+            this.shouldMigrate = true;
+            return;
           }
-          
-          // Ensure we have valid indices before trying to access courseStructure
-          if (courseStructure.sections && 
-              courseStructure.sections[module.sectionIndex] && 
-              courseStructure.sections[module.sectionIndex].childrenCourses &&
-              courseStructure.sections[module.sectionIndex].childrenCourses[module.moduleIndex]) {
-            
-            // Handle timeout specifically
-            if (error.name === 'TimeoutError' || error.message.includes('timeout')) {
-              console.log(`⏱ Timeout for module: ${module.title}, marking as no content`);
-              courseStructure.sections[module.sectionIndex].childrenCourses[module.moduleIndex].content = "No content found - page timeout";
-            } else {
-              console.error(`Error processing module ${i + 1} (${module.title}):`, error.message);
-              courseStructure.sections[module.sectionIndex].childrenCourses[module.moduleIndex].content = `Error scraping content: ${error.message}`;
-            }
+
+          const failure = classifyError(error);
+          if (failure.status === MODULE_STATUS.TIMEOUT) {
+            console.log(`⏱ Timeout for module: ${module.title}`);
           } else {
-            console.error(`Error processing module ${i + 1} (${module.title}) - invalid structure indices:`, error.message);
+            console.error(`Error processing module ${position} (${module.title}) [${failure.status}]:`, error.message);
           }
-          
-          // Update progress even on error to avoid getting stuck
-          this.currentState.processedModules = i + 1;
+          // Record the failure and move on, so one module can't block the run
+          await this.recordModuleResult(courseStructure, module, { status: failure.status, content: '', error: failure.error });
         }
       }
+    };
 
-      return courseStructure;
+    await Promise.all(pages.slice(0, Math.max(queue.length, 1)).map((page) => worker(page)));
+  }
+
+  // Load one module page and extract it. Failures are thrown and classified by the caller.
+  async scrapeModule(page, module) {
+    // Generate the direct URL for this module
+    const moduleUrl = this.generateModuleUrl(module.Id);
+    if (!moduleUrl) {
+      throw new ModuleError(MODULE_STATUS.NAVIGATION_ERROR, 'Could not generate the module URL', { retryable: false });
+    }
+
+    // Navigate directly to the module with shorter timeout
+    const response = await this.navigate(page, moduleUrl, {
+      waitUntil: "networkidle2",
+      timeout: this.navigationTimeout,
+    });
+
+    const httpStatus = response ? response.status() : null;
+    if (httpStatus >= 400) {
+      throw new ModuleError(MODULE_STATUS.NAVIGATION_ERROR, `HTTP ${httpStatus}`, { retryable: httpStatus >= 500, httpStatus });
+    }
+    if (new URL(page.url()).pathname.startsWith('/login')) {
+      throw new ModuleError(MODULE_STATUS.AUTH_LOST, 'Redirected to the login page');
+    }
+
+    // Give a bit more time for content to fully load
+    await this.delay(1000);
+
+    const result = await this.extractModuleContent(page);
+    if (this.transcripts) {
+      result.transcript = await this.fetchModuleTranscript(page, module.video || (result.embeddedVideos || [])[0] || null);
+    }
+    return result;
+  }
+
+  // Caption transcript of the lesson video, or of the first video embedded in the body
+  async fetchModuleTranscript(page, video) {
+    if (!video) {
+      return null;
+    }
+    if (!this.transcriptFetcher) {
+      this.transcriptFetcher = new TranscriptFetcher({
+        fetchImpl: proxyFetch(this.proxyUrl),
+        languages: this.transcriptLanguages,
+        endpoints: this.transcriptEndpoints,
+        headers: { 'User-Agent': await page.evaluate(() => navigator.userAgent) }
+      });
+    }
+
+    // Videos uploaded to Skool may list their captions as <track> elements of the player.
+    // Without them (page gone, context destroyed) the Mux stream's subtitles are tried.
+    let pageTracks = [];
+    if (video.provider === 'skool') {
+      try {
+        pageTracks = await page.evaluate(() => Array.from(document.querySelectorAll('track[src]'))
+          .filter((track) => !['chapters', 'metadata', 'descriptions'].includes(track.kind))
+          .map((track) => ({ language: track.srclang || null, label: track.label || null, kind: 'captions', url: track.src })));
+      } catch (error) {
+        console.log('⚠ Could not read the caption tracks of the player:', error.message);
+      }
+    }
+
+    const transcript = await this.transcriptFetcher.transcriptFor(video, { pageTracks });
+    if (transcript.status === 'error') {
+      console.log(`⚠ Could not fetch the ${video.provider} transcript:`, transcript.error);
+    }
+    return transcript;
+  }
+
+  // A failed module gets another attempt while its error is transient and the retry limit isn't reached
+  shouldRetry(module) {
+    return Boolean(module && module.error && module.error.retryable) && (module.attempts || 0) <= this.maxRetries;
+  }
+
+  // Log in again before retrying modules that were redirected to the login page
+  async reauthenticate() {
+    console.log('🔒 Session lost, logging in again before retrying...');
+    try {
+      const { email, password } = this.credentials || {};
+      await this.login(email, password);
     } catch (error) {
-      console.error("Error in direct ID scraping:", error.message);
-      throw error;
+      console.error('Failed to log in again:', error.message);
+    }
+  }
+
+  // The module object inside the course structure that holds a module's results
+  moduleSlot(courseStructure, module) {
+    const section = courseStructure.sections[module.sectionIndex];
+    return section ? section.childrenCourses[module.moduleIndex] : null;
+  }
+
+  // Store a module's scraped fields (status, content, blocks) in its own section slot and checkpoint the progress
+  async recordModuleResult(courseStructure, module, result) {
+    const { modules } = this.classroomState;
+    const previous = modules[module.Id] || { attempts: 0 };
+    const fields = { error: null, ...result, attempts: previous.attempts + 1 };
+
+    const slot = this.moduleSlot(courseStructure, module);
+    if (slot) {
+      Object.assign(slot, fields);
+    } else {
+      console.error(`Module "${module.title}" has invalid structure indices, content not stored`);
     }
+
+    modules[module.Id] = {
+      status: isFailure(fields.status) ? 'failed' : 'done',
+      attempts: fields.attempts,
+      title: module.title,
+      result: fields,
+      finishedAt: new Date().toISOString()
+    };
+    this.currentState.processedModules = Object.values(modules).filter((state) => state.status !== 'pending').length;
+
+    // Stream finished modules to the dataset; failures that will be retried wait for their last attempt
+    if (slot && !this.shouldRetry(fields)) {
+      await this.pushModuleItem(courseStructure, module.sectionIndex, module.moduleIndex);
+    }
+
+    // Save after every module, so a migration loses at most the modules in flight
+    await this.saveClassroomState();
+  }
+
+  // Push a finished module to the dataset, at most once per run. In incremental
+  // mode, modules whose content matches the last snapshot are left out.
+  async pushModuleItem(courseStructure, sectionIndex, moduleIndex) {
+    const slot = courseStructure.sections[sectionIndex].childrenCourses[moduleIndex];
+    if (this.incremental && slot.Id) {
+      slot.changeStatus = moduleChangeStatus(slot, this.snapshot);
+    }
+
+    const item = moduleItem(courseStructure, sectionIndex, moduleIndex);
+    if (this.classroomState.pushedKeys[item.itemKey] || item.changeStatus === 'unchanged') {
+      return;
+    }
+    this.classroomState.pushedKeys[item.itemKey] = true;
+    await Actor.pushData(item);
   }
 
   // Quick check to see if content is available without full extraction
-  async quickContentCheck() {
+  async quickContentCheck(page = this.page) {
     try {
-      const hasContent = await this.page.evaluate(() => {
-        const editorEl = document.querySelector(".styled__EditorContentWrapper-sc-1cnx5by-2.bXbSDs");
-        
-        if (editorEl) {
-          const htmlContent = editorEl.innerHTML;
-          // Quick check: if there's substantial HTML content, assume it has content
-          if (htmlContent && htmlContent.length > 50) {
-            // Check if it's not just empty paragraphs and breaks
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = htmlContent;
-            const textContent = tempDiv.textContent || tempDiv.innerText || '';
-            const cleanText = textContent.replace(/\s+/g, ' ').trim();
-            
-            return cleanText.length > 10;
-          }
-        }
-        
+      const { html } = await this.findLessonBody(page);
+      if (!html) {
         return false;
-      });
-
-      return hasContent;
+      }
+      // Not just empty paragraphs and breaks
+      const cleanText = cheerio.load(html, null, false).root().text().replace(/\s+/g, ' ').trim();
+      return cleanText.length > 10 || /<(img|iframe|video)\b/i.test(html);
     } catch (error) {
       console.log('Error in quickContentCheck, assuming content exists:', error.message);
       return true;
     }
   }
 
-  // Extract raw HTML and convert to clean text using cheerio
-  async extractTextContent() {
+  // Find the lesson body: the module's JSON in __NEXT_DATA__ first, then the
+  // configured DOM selectors in order. `source` records which one matched,
+  // e.g. "next-data:metadata.desc" or "selector:.tiptap.ProseMirror.skool-editor2".
+  async findLessonBody(page = this.page) {
+    const moduleId = new URL(page.url()).searchParams.get('md');
+
+    let nextData = null;
     try {
-      // Get the raw HTML content from the TipTap editor
-      const htmlContent = await this.page.evaluate(async () => {
-        const editorEl = await document.querySelector(".tiptap.ProseMirror.skool-editor2");
-        
-        if (editorEl) {          
-          return editorEl.innerHTML;
+      nextData = await this.readNextData(page);
+    } catch (error) {
+      console.log('Could not read __NEXT_DATA__:', error.message);
+    }
+    const fromJson = lessonBodyFromNextData(nextData, moduleId);
+    if (fromJson) {
+      return { html: fromJson.html, source: `next-data:${fromJson.field}`, locked: false };
+    }
+
+    const fromDom = await page.evaluate((selectors) => {
+      for (const selector of selectors) {
+        const element = document.querySelector(selector);
+        // Skip wrappers that are left empty when Skool moves the body elsewhere
+        if (element && (element.textContent.trim() || element.querySelector('img, iframe, video'))) {
+          return { html: element.innerHTML, selector, locked: false };
         }
-        
-        // // Fallback to other content containers
-        // const contentSelectors = [
-        //   ".styled__EditorContentWrapper-sc-1cnx5by-2",
-        //   ".styled__RichTextEditorWrapper-sc-1cnx5by-0", 
-        //   ".styled__ModuleBody-sc-cgnv0g-3",
-        //   '[data-testid*="content"]',
-        //   ".content",
-        //   "main",
-        //   ".main-content"
-        // ];
-
-        // for (let selector of contentSelectors) {
-        //   const element = document.querySelector(selector);
-        //   if (element) {
-        //     return element.innerHTML;
-        //   }
-        // }
+      }
 
-        return null;
-      });
+      // Without a body, tell a locked lesson apart from an empty one
+      const text = document.body ? document.body.innerText : '';
+      return {
+        html: null,
+        selector: null,
+        locked: /(this (lesson|module|course) is locked|unlock(s)? (at|on|after) level|upgrade to unlock)/i.test(text)
+      };
+    }, this.contentSelectors);
+
+    return {
+      html: fromDom.html,
+      source: fromDom.selector ? `selector:${fromDom.selector}` : null,
+      locked: fromDom.locked
+    };
+  }
 
-      if (!htmlContent) {
-        return "No content found";
+  // Extract the lesson body and convert it to the configured content format
+  async extractTextContent(page = this.page) {
+    const { content } = await this.extractModuleContent(page);
+    return content;
+  }
+
+  // Extract the module's content and, when enabled, its block tree from the same lesson body
+  async extractModuleContent(page = this.page) {
+    try {
+      const { html: htmlContent, source: contentSource, locked } = await this.findLessonBody(page);
+
+      if (locked) {
+        throw new ModuleError(MODULE_STATUS.LOCKED, 'Lesson is locked for this account');
       }
 
-      // Use cheerio to parse HTML and extract clean text
-      const $ = cheerio.load(htmlContent);
-      
-      // Remove script and style elements
-      $('script, style, svg').remove();
-      
-      // Remove ProseMirror specific elements that don't contain content
-      $('br.ProseMirror-trailingBreak').remove();
-      
-      // Extract text content with some formatting
-      let extractedText = '';
-      const textParts = [];
+      // Attachments are worth keeping even when the lesson has no text
+      const resources = await this.findResources(page);
+
+      // Swap expiring CDN links for our stored copies before converting the HTML
+      let html = htmlContent || '';
+      let assets = null;
+      if (this.downloadAssets) {
+        assets = await this.downloadModuleAssets(page, html, resources);
+        html = rewriteAssetUrls(html, assets);
+        const stored = new Map(assets.map((asset) => [asset.sourceUrl, asset]));
+        resources.forEach((resource) => {
+          const asset = stored.get(resource.url);
+          if (asset) {
+            resource.storedUrl = asset.url;
+            resource.fileSize = resource.fileSize || asset.size;
+          }
+        });
+      }
+
+      const content = htmlContent ? this.formatContent(html) || '' : '';
+      return {
+        status: content ? MODULE_STATUS.OK : MODULE_STATUS.EMPTY,
+        content,
+        contentSource: htmlContent ? contentSource : null,
+        blocks: this.includeBlocks && htmlContent ? htmlToBlocks(html) : null,
+        embeddedVideos: collectEmbeddedVideos(htmlContent),
+        resources,
+        ...(assets ? { assets } : {})
+      };
       
-      // Extract paragraphs
-      $('p').each((i, elem) => {
-        const text = $(elem).text().trim();
-        if (text && text.length > 0) {
-          textParts.push(text);
-        }
+    } catch (error) {
+      console.log("Error extracting content:", error.message);
+      if (error instanceof ModuleError || error.name === 'TimeoutError') {
+        throw error;
+      }
+      throw new ModuleError(MODULE_STATUS.EXTRACTION_ERROR, error.message);
+    }
+  }
+
+  // Resources of the current lesson, from the module's JSON in __NEXT_DATA__ and from the rendered resource panel
+  async findResources(page = this.page) {
+    let fromMetadata = [];
+    try {
+      const moduleJson = findModuleJson(await this.readNextData(page), new URL(page.url()).searchParams.get('md'));
+      fromMetadata = moduleJson ? resourcesFromMetadata(moduleJson.metadata) : [];
+    } catch (error) {
+      console.log('Could not read resources from __NEXT_DATA__:', error.message);
+    }
+
+    const panelLinks = await page.evaluate((selector) => {
+      return Array.from(document.querySelectorAll(selector)).map((link) => {
+        const item = link.closest('li') || link.parentElement;
+        const size = (item ? item.textContent : '').match(/\d+(?:[.,]\d+)?\s*(?:KB|MB|GB)\b/i);
+        return {
+          title: (link.textContent || link.getAttribute('title') || link.getAttribute('download') || '').trim(),
+          url: link.href,
+          size: size ? size[0] : null
+        };
       });
+    }, RESOURCE_PANEL_LINKS);
+
+    return mergeResources(fromMetadata, resourcesFromPanel(panelLinks));
+  }
+
+  // Download the images and files a module links to or attaches, using the page's logged-in cookies
+  async downloadModuleAssets(page, htmlContent, resources = []) {
+    const assetUrls = collectAssetUrls(htmlContent);
+    resources.forEach((resource) => {
+      if (resource.type === 'file' && isDownloadableAsset(resource.url, 'file') && !assetUrls.some((asset) => asset.url === resource.url)) {
+        assetUrls.push({ url: resource.url, kind: 'file' });
+      }
+    });
+    if (assetUrls.length === 0) {
+      return [];
+    }
+
+    if (!this.assetDownloader) {
+      this.assetDownloader = new AssetDownloader({ store: await Actor.openKeyValueStore(), fetchImpl: proxyFetch(this.proxyUrl) });
+    }
+
+    const userAgent = await page.evaluate(() => navigator.userAgent);
+    const assets = [];
+
+    for (const { url, kind } of assetUrls) {
+      try {
+        const cookies = await page.cookies(url);
+        const asset = await this.assetDownloader.download(url, {
+          kind,
+          headers: {
+            'User-Agent': userAgent,
+            Referer: page.url(),
+            ...(cookies.length > 0 ? { Cookie: cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join('; ') } : {})
+          }
+        });
+        assets.push(asset);
+      } catch (error) {
+        console.log(`⚠ Could not download asset ${url}:`, error.message);
+      }
+    }
+
+    console.log(`Stored ${assets.length}/${assetUrls.length} assets`);
+    return assets;
+  }
+
+  // Convert the editor HTML into the configured contentFormat (text, markdown or html)
+  formatContent(htmlContent) {
+    switch (this.contentFormat) {
+      case 'markdown':
+        return htmlToMarkdown(htmlContent);
+      case 'html':
+        return this.cleanEditorHtml(htmlContent);
+      default:
+        return this.htmlToPlainText(htmlContent);
+    }
+  }
+
+  // Strip editor-only markup but keep the lesson HTML as-is
+  cleanEditorHtml(htmlContent) {
+    const $ = cheerio.load(htmlContent, null, false);
+    $('script, style').remove();
+    $('br.ProseMirror-trailingBreak').remove();
+    $('[contenteditable]').removeAttr('contenteditable');
+    return $.html().trim();
+  }
+
+  // Plain text paragraphs followed by a list of images and links
+  htmlToPlainText(htmlContent) {
+    // Use cheerio to parse HTML and extract clean text
+    const $ = cheerio.load(htmlContent);
+    
+    // Remove script and style elements
+    $('script, style, svg').remove();
+    
+    // Remove ProseMirror specific elements that don't contain content
+    $('br.ProseMirror-trailingBreak').remove();
+    
+    // Extract text content with some formatting
+    let extractedText = '';
+    const textParts = [];
+    
+    // Extract paragraphs
+    $('p').each((i, elem) => {
+      const text = $(elem).text().trim();
+      if (text && text.length > 0) {
+        textParts.push(text);
+      }
+    });
+    
+    // If we found paragraphs, use them
+    if (textParts.length > 0) {
+      extractedText = textParts.join('\n\n');
+    } else {
+      // Fallback: get all text content
+      extractedText = $.text().replace(/\s+/g, ' ').trim();
+    }
+    
+    // Extract images and add their information
+    const images = [];
+    $('img').each((i, elem) => {
+      const $img = $(elem);
+      const src = $img.attr('src') || $img.attr('originalsrc');
+      const alt = $img.attr('alt') || $img.attr('title') || 'Image';
       
-      // If we found paragraphs, use them
-      if (textParts.length > 0) {
-        extractedText = textParts.join('\n\n');
-      } else {
-        // Fallback: get all text content
-        extractedText = $.text().replace(/\s+/g, ' ').trim();
+      if (src) {
+        images.push(`[Image: ${alt} - ${src}]`);
       }
+    });
+    
+    // Extract links information  
+    const links = [];
+    $('a').each((i, elem) => {
+      const $link = $(elem);
+      const href = $link.attr('href');
+      const text = $link.text().trim();
       
-      // Extract images and add their information
-      const images = [];
-      $('img').each((i, elem) => {
-        const $img = $(elem);
-        const src = $img.attr('src') || $img.attr('originalsrc');
-        const alt = $img.attr('alt') || $img.attr('title') || 'Image';
-        
-        if (src) {
-          images.push(`[Image: ${alt} - ${src}]`);
+      if (href && text) {
+        links.push(`[Link: ${text} - ${href}]`);
+      }
+    });
+    
+    // Combine everything
+    let finalContent = extractedText;
+    
+    if (images.length > 0) {
+      finalContent += '\n\n' + images.join('\n');
+    }
+    
+    if (links.length > 0) {
+      finalContent += '\n\n' + links.join('\n'); 
+    }
+    // console.log(finalContent);
+    
+    return finalContent;
+  }
+
+  // Load this classroom's previous snapshot from the named snapshot store
+  async loadSnapshot(courseStructure) {
+    try {
+      const store = await Actor.openKeyValueStore(this.snapshotStoreName);
+      this.snapshot = await store.getValue(snapshotKey(courseStructure.classroomUrl, courseStructure.courseId));
+      if (this.snapshot) {
+        console.log(`Loaded snapshot from ${this.snapshot.savedAt} (${Object.keys(this.snapshot.modules).length} modules)`);
+      } else {
+        console.log('No previous snapshot, every module counts as added');
+      }
+    } catch (error) {
+      console.error('Failed to load snapshot:', error.message);
+      this.snapshot = null;
+    }
+  }
+
+  // A module's scraped fields from the previous snapshot, or null when its record is gone.
+  // Snapshots of older versions only kept the content.
+  async loadSnapshotRecord(entry) {
+    if (!entry.recordKey) {
+      return { status: entry.content ? MODULE_STATUS.OK : MODULE_STATUS.EMPTY, content: entry.content || '' };
+    }
+    try {
+      const store = await Actor.openKeyValueStore(this.snapshotStoreName);
+      const record = await store.getValue(entry.recordKey);
+      return record ? record.result : null;
+    } catch (error) {
+      console.error('Failed to load snapshot record:', error.message);
+      return null;
+    }
+  }
+
+  // Compare the course with the previous snapshot, save the change report and store the new snapshot
+  async updateSnapshot(courseStructure) {
+    const modules = courseStructure.sections.flatMap((section) => section.childrenCourses);
+    const previous = (this.snapshot && this.snapshot.modules) || {};
+    // Modules left out by the filters keep their snapshot entry and aren't reported as removed
+    const skippedIds = new Set(courseStructure.selection ? courseStructure.selection.skippedIds : []);
+
+    // Previous content of modified modules, for the line diffs
+    const previousContent = {};
+    for (const module of modules) {
+      const before = module.Id && previous[module.Id];
+      if (before && before.recordKey && !hasFailed(module) && before.hash !== contentHash(module.content)) {
+        const result = await this.loadSnapshotRecord(before);
+        previousContent[module.Id] = result ? result.content : '';
+      }
+    }
+
+    const changes = compareWithSnapshot(modules, this.snapshot, skippedIds, previousContent);
+    const key = snapshotKey(courseStructure.classroomUrl, courseStructure.courseId);
+
+    const report = {
+      classroomUrl: courseStructure.classroomUrl,
+      courseId: courseStructure.courseId,
+      title: courseStructure.title,
+      previousSnapshotAt: this.snapshot ? this.snapshot.savedAt : null,
+      generatedAt: new Date().toISOString(),
+      ...changes
+    };
+    const reportKey = `CHANGE_REPORT-${key.replace('snapshot-', '')}`;
+    await Actor.setValue(reportKey, report);
+
+    const store = await Actor.openKeyValueStore(this.snapshotStoreName);
+    const entries = {};
+    skippedIds.forEach((moduleId) => {
+      if (previous[moduleId]) {
+        entries[moduleId] = previous[moduleId];
+      }
+    });
+    for (const module of modules.filter((candidate) => candidate.Id)) {
+      // A failed module keeps what the previous snapshot had, so it isn't seen as changed next time.
+      // Locked modules are stored like scraped ones, and are unchanged while they stay locked.
+      if (hasFailed(module)) {
+        if (previous[module.Id]) {
+          entries[module.Id] = previous[module.Id];
         }
+        continue;
+      }
+
+      // Modules scraped in this run store their full record; unchanged ones keep the one they have
+      const recordKey = snapshotRecordKey(key, module.Id);
+      const state = this.classroomState && this.classroomState.modules[module.Id];
+      if (state && state.status === 'done' && state.result) {
+        await store.setValue(recordKey, { moduleId: module.Id, result: state.result });
+      } else if (!previous[module.Id] || !previous[module.Id].recordKey) {
+        await store.setValue(recordKey, { moduleId: module.Id, result: { status: module.status || null, content: module.content || '' } });
+      }
+      entries[module.Id] = snapshotEntry(module, recordKey);
+    }
+    // Records of removed modules go with them
+    for (const { moduleId } of changes.removed) {
+      if (previous[moduleId].recordKey) {
+        await store.setValue(previous[moduleId].recordKey, null);
+      }
+    }
+
+    await store.setValue(key, {
+      classroomUrl: courseStructure.classroomUrl,
+      courseId: courseStructure.courseId,
+      savedAt: report.generatedAt,
+      modules: entries
+    });
+
+    console.log(`Change report saved as ${reportKey}`);
+    return { key: reportKey, ...report };
+  }
+
+  // The course structure without lesson content: sections, modules, access and progress
+  courseOutline(courseStructure) {
+    const { sections, ...course } = courseStructure;
+    return {
+      ...course,
+      totalSections: sections.length,
+      totalModules: sections.reduce((count, section) => count + section.childrenCourses.length, 0),
+      sections: sections.map(({ childrenCourses, ...section }) => ({
+        ...section,
+        modules: childrenCourses.map(({ content, blocks, ...module }) => module)
+      }))
+    };
+  }
+
+  // Save a classroom's outline as its own key-value record, e.g. OUTLINE-<hash of the classroom URL>
+  async saveOutline(courseStructure) {
+    const key = stateKey('OUTLINE', classroomIdentity(courseStructure.classroomUrl));
+    await Actor.setValue(key, { ...this.courseOutline(courseStructure), savedAt: new Date().toISOString() });
+    return key;
+  }
+
+  // Add or replace a classroom's entry in the RUN_SUMMARY record
+  async updateRunSummary(courseSummary) {
+    const summary = (await Actor.getValue('RUN_SUMMARY')) || { mode: 'classroom', courses: [] };
+    summary.courses = summary.courses.filter((entry) => entry.classroomUrl !== courseSummary.classroomUrl);
+    summary.courses.push({ ...courseSummary, finishedAt: new Date().toISOString() });
+    summary.updatedAt = new Date().toISOString();
+    await Actor.setValue('RUN_SUMMARY', summary);
+  }
+
+  // Flatten the course structure into one record per module
+  flattenCourseStructure(courseStructure) {
+    return courseStructure.sections.flatMap((section, sectionIndex) => {
+      return section.childrenCourses.map((module, moduleIndex) => moduleItem(courseStructure, sectionIndex, moduleIndex));
+    });
+  }
+
+  // Write the requested outputFormats to the key-value store
+  async generateExports(courseStructure, flattenedData, outputFormats) {
+    const exports = {};
+
+    if (outputFormats.includes('xlsx')) {
+      console.log("Generating Excel file for course structure...");
+      exports.excelFile = await this.generateExcelFile(courseStructure, flattenedData);
+    }
+
+    if (outputFormats.includes('html')) {
+      console.log("Generating offline HTML archive...");
+      exports.htmlArchive = await this.generateHtmlArchive(courseStructure);
+    }
+
+    if (outputFormats.includes('chunks')) {
+      console.log("Generating chunked JSONL export...");
+      exports.chunkFile = await this.generateChunkFile(courseStructure);
+    }
+
+    return exports;
+  }
+
+  // Build a browsable static site of the classroom and save it zipped
+  async generateHtmlArchive(courseStructure) {
+    try {
+      const { buffer, files } = await buildHtmlArchive(courseStructure, {
+        title: courseStructure.title,
+        classroomUrl: courseStructure.classroomUrl,
+        contentFormat: courseStructure.contentFormat || this.contentFormat
       });
-      
-      // Extract links information  
-      const links = [];
-      $('a').each((i, elem) => {
-        const $link = $(elem);
-        const href = $link.attr('href');
-        const text = $link.text().trim();
-        
-        if (href && text) {
-          links.push(`[Link: ${text} - ${href}]`);
-        }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      const filename = `classroom_archive_${timestamp}.zip`;
+      await Actor.setValue(filename, buffer, { contentType: 'application/zip' });
+
+      console.log(`✅ HTML archive generated: ${filename} (${files.length} files)`);
+
+      return {
+        filename: filename,
+        pages: files.filter((file) => file.endsWith('.html')).length
+      };
+    } catch (error) {
+      console.error("Error generating HTML archive:", error.message);
+      throw error;
+    }
+  }
+
+  // Split every lesson into retrieval-sized chunks with their provenance and save them as JSONL
+  async generateChunkFile(courseStructure) {
+    try {
+      const chunks = buildChunks(courseStructure, {
+        ...this.chunkOptions,
+        moduleUrl: (moduleId) => this.generateModuleUrl(moduleId, courseStructure.classroomUrl)
       });
-      
-      // Combine everything
-      let finalContent = extractedText;
-      
-      if (images.length > 0) {
-        finalContent += '\n\n' + images.join('\n');
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      const filename = `classroom_chunks_${timestamp}.jsonl`;
+      await Actor.setValue(filename, toJsonl(chunks), { contentType: 'application/x-ndjson' });
+
+      const modules = new Set(chunks.map((chunk) => chunk.metadata.itemKey)).size;
+      console.log(`✅ Chunk file generated: ${filename} (${chunks.length} chunks from ${modules} modules)`);
+
+      return {
+        filename: filename,
+        chunks: chunks.length,
+        modules,
+        tokens: chunks.reduce((total, chunk) => total + chunk.tokens, 0),
+        ...this.chunkOptions
+      };
+    } catch (error) {
+      console.error("Error generating chunk file:", error.message);
+      throw error;
+    }
+  }
+
+  // Split long content into pieces that fit in a single Excel cell
+  splitCellContent(content, limit = EXCEL_CELL_LIMIT) {
+    if (!content || content.length <= limit) {
+      return [content || ""];
+    }
+
+    const parts = [];
+    for (let start = 0; start < content.length; start += limit) {
+      parts.push(content.substring(start, start + limit));
+    }
+    return parts;
+  }
+
+  // Generate Excel file from course structure
+  async generateExcelFile(courseStructure, flattenedData) {
+    try {
+      console.log("Generating Excel file...");
+
+      // Create a new workbook
+      const workbook = XLSX.utils.book_new();
+
+      // 1. Overview sheet with summary information
+      const overviewData = [
+        ["Course Structure Overview", ""],
+        ["", ""],
+        ["Total Sections", courseStructure.sections.length],
+        ["Total Modules", flattenedData.length],
+        ["Generated At", new Date().toISOString()],
+        ["", ""],
+        ["Section", "Module Count"],
+      ];
+
+      courseStructure.sections.forEach(section => {
+        overviewData.push([section.courseTitle, section.childrenCourses.length]);
+      });
+
+      const overviewSheet = XLSX.utils.aoa_to_sheet(overviewData);
+      XLSX.utils.book_append_sheet(workbook, overviewSheet, "Overview");
+
+      // 2. Detailed modules sheet (flattened data) with content.
+      // Content longer than one cell continues on extra rows, numbered in the Part column.
+      const modulesData = [
+        ["Section Title", "Module Title", "Module ID", "Video Link", "Content Length", "Status", "Error", "Part", "Course Content", "Scraped At"]
+      ];
+
+      flattenedData.forEach(item => {
+        const contentLength = item.content ? item.content.length : 0;
+
+        const parts = this.splitCellContent(item.content);
+        parts.forEach((part, partIndex) => {
+          const isFirst = partIndex === 0;
+          modulesData.push([
+            item.courseTitle,
+            item.moduleTitle,
+            item.moduleId,
+            isFirst ? item.videoLink || "" : "",
+            isFirst ? contentLength : "",
+            isFirst ? moduleStatus(item) : "",
+            isFirst && item.error ? item.error.message : "",
+            `${partIndex + 1}/${parts.length}`,
+            part,
+            isFirst ? item.scrapedAt : ""
+          ]);
+        });
+      });
+
+      const modulesSheet = XLSX.utils.aoa_to_sheet(modulesData);
+      XLSX.utils.book_append_sheet(workbook, modulesSheet, "Modules");
+
+      // 3. Full content sheet (with actual content text)
+      const contentData = [
+        ["Section", "Module", "Module ID", "Video Link", "Part", "Full Content"]
+      ];
+
+      flattenedData.forEach(item => {
+        const parts = this.splitCellContent(item.content);
+        parts.forEach((part, partIndex) => {
+          contentData.push([
+            item.courseTitle,
+            item.moduleTitle,
+            item.moduleId,
+            partIndex === 0 ? item.videoLink || "" : "",
+            `${partIndex + 1}/${parts.length}`,
+            part
+          ]);
+        });
+      });
+
+      const contentSheet = XLSX.utils.aoa_to_sheet(contentData);
+      XLSX.utils.book_append_sheet(workbook, contentSheet, "Full Content");
+
+      // 4. Raw structure sheet (hierarchical view) with content, following the
+      // course outline at every depth
+      const structureData = [
+        ["Level", "Type", "Title", "Breadcrumb", "ID", "Video Link", "Part", "Course Content", "Content Length"]
+      ];
+
+      const addModuleRows = (module, level) => {
+        const content = module.content || "No content";
+        const parts = this.splitCellContent(content);
+
+        parts.forEach((part, partIndex) => {
+          const isFirst = partIndex === 0;
+          structureData.push([
+            isFirst ? level : "",
+            isFirst ? "Module" : "(continued)",
+            module.title,
+            isFirst ? module.breadcrumb || "" : "",
+            module.Id || "",
+            isFirst ? module.videoLink || "" : "",
+            `${partIndex + 1}/${parts.length}`,
+            part,
+            isFirst ? content.length : ""
+          ]);
+        });
+      };
+
+      if (courseStructure.tree) {
+        const modulesById = new Map();
+        courseStructure.sections.forEach(section => {
+          section.childrenCourses.forEach(module => modulesById.set(module.Id, module));
+        });
+
+        const addNodeRows = (node) => {
+          if (node.type === 'lesson' && modulesById.has(node.id)) {
+            addModuleRows(modulesById.get(node.id), node.depth);
+          } else if (node.type !== 'lesson') {
+            structureData.push([node.depth, node.type === 'course' ? "Course" : "Section", node.title, node.path.join(' › '), node.id || "", "", "", "", ""]);
+          }
+          node.children.forEach(addNodeRows);
+        };
+        addNodeRows(courseStructure.tree);
+      } else {
+        // Datasets saved before the outline tree existed only have sections
+        courseStructure.sections.forEach(section => {
+          structureData.push([1, "Section", section.courseTitle, "", "", "", "", "", ""]);
+          section.childrenCourses.forEach(module => addModuleRows(module, 2));
+        });
       }
+
+      const structureSheet = XLSX.utils.aoa_to_sheet(structureData);
+      XLSX.utils.book_append_sheet(workbook, structureSheet, "Course Structure");
+
+      // 5. Resources sheet: one row per attached file or link
+      const resourcesData = [
+        ["Section", "Module", "Module ID", "Resource", "Type", "URL", "Stored Copy", "File Size"]
+      ];
+
+      flattenedData.forEach(item => {
+        (item.resources || []).forEach(resource => {
+          resourcesData.push([
+            item.courseTitle,
+            item.moduleTitle,
+            item.moduleId,
+            resource.title,
+            resource.type,
+            resource.url,
+            resource.storedUrl || "",
+            formatFileSize(resource.fileSize)
+          ]);
+        });
+      });
+
+      const resourcesSheet = XLSX.utils.aoa_to_sheet(resourcesData);
+      XLSX.utils.book_append_sheet(workbook, resourcesSheet, "Resources");
+
+      // 6. Statistics sheet
+      const stats = this.calculateStatistics(flattenedData);
+      const statsData = [
+        ["Scraping Statistics", ""],
+        ["", ""],
+        ["Total Modules", stats.totalModules],
+        ["Modules with Content", stats.modulesWithContent],
+        ["Modules with Errors", stats.modulesWithErrors],
+        ["Modules without Content", stats.modulesWithoutContent],
+        ["Locked Modules", stats.modulesLocked],
+        ["Completed by This Account", stats.modulesCompleted],
+        ["Success Rate", stats.successRate + "%"],
+        ["", ""],
+        ["Modules by Status", ""],
+        ...Object.entries(stats.statusCounts),
+        ["", ""],
+        ["Content Statistics", ""],
+        ["Average Content Length", stats.avgContentLength + " characters"],
+        ["Longest Content", stats.maxContentLength + " characters"],
+        ["Shortest Content", stats.minContentLength + " characters"],
+        ["", ""],
+        ["Modules with Video Links", stats.modulesWithVideoLinks],
+        ["Video Link Rate", stats.videoLinkRate + "%"],
+        ["", ""],
+        ["Resources", stats.totalResources],
+        ["Modules with Resources", stats.modulesWithResources],
+        ["Modules with Transcripts", stats.modulesWithTranscripts]
+      ];
+
+      const statsSheet = XLSX.utils.aoa_to_sheet(statsData);
+      XLSX.utils.book_append_sheet(workbook, statsSheet, "Statistics");
+
+      // Generate timestamp for filename
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      const filename = `course_structure_${timestamp}.xlsx`;
+
+      // Set column widths for better readability
+      const setColumnWidths = (sheet, widths) => {
+        if (!sheet['!cols']) sheet['!cols'] = [];
+        widths.forEach((width, index) => {
+          sheet['!cols'][index] = { wch: width };
+        });
+      };
+
+      // Set appropriate column widths for each sheet
+      setColumnWidths(overviewSheet, [25, 15]); // Overview sheet
+      setColumnWidths(modulesSheet, [20, 30, 25, 30, 12, 16, 30, 8, 50, 20]); // Modules sheet
+      setColumnWidths(contentSheet, [20, 30, 25, 30, 8, 100]); // Full Content sheet
+      setColumnWidths(structureSheet, [8, 12, 30, 40, 25, 30, 8, 80, 15]); // Course Structure sheet
+      setColumnWidths(resourcesSheet, [20, 30, 25, 30, 8, 50, 50, 10]); // Resources sheet
+      setColumnWidths(statsSheet, [25, 15]); // Statistics sheet
+
+      // Write the file
+      const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' });
       
-      if (links.length > 0) {
-        finalContent += '\n\n' + links.join('\n'); 
-      }
-      // console.log(finalContent);
+      // Save to Actor key-value store
+      await Actor.setValue(filename, buffer, { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
       
-      return finalContent || "No meaningful content found";
+      console.log(`✅ Excel file generated: ${filename}`);
       
+      return {
+        filename: filename,
+        sheets: ['Overview', 'Modules', 'Full Content', 'Course Structure', 'Resources', 'Statistics'],
+        totalRows: modulesData.length - 1, // Subtract header row
+        statistics: stats
+      };
+
     } catch (error) {
-      console.log("Error extracting content:", error.message);
-      return "Error extracting content";
-    }
-  }
-
-  // // Generate Excel file from course structure
-  // async generateExcelFile(courseStructure, flattenedData) {
-  //   try {
-  //     console.log("Generating Excel file...");
-
-  //     // Create a new workbook
-  //     const workbook = XLSX.utils.book_new();
-
-  //     // 1. Overview sheet with summary information
-  //     const overviewData = [
-  //       ["Course Structure Overview", ""],
-  //       ["", ""],
-  //       ["Total Sections", courseStructure.sections.length],
-  //       ["Total Modules", flattenedData.length],
-  //       ["Generated At", new Date().toISOString()],
-  //       ["", ""],
-  //       ["Section", "Module Count"],
-  //     ];
-
-  //     courseStructure.sections.forEach(section => {
-  //       overviewData.push([section.courseTitle, section.childrenCourses.length]);
-  //     });
-
-  //     const overviewSheet = XLSX.utils.aoa_to_sheet(overviewData);
-  //     XLSX.utils.book_append_sheet(workbook, overviewSheet, "Overview");
-
-  //     // 2. Detailed modules sheet (flattened data) with content
-  //     const modulesData = [
-  //       ["Section Title", "Module Title", "Module ID", "Video Link", "Content Length", "Has Content", "Course Content", "Scraped At"]
-  //     ];
-
-  //     flattenedData.forEach(item => {
-  //       const contentLength = item.content ? item.content.length : 0;
-  //       const hasContent = item.content && 
-  //         item.content !== "No content scraped" && 
-  //         !item.content.startsWith("Error scraping content") && 
-  //         item.content !== "No content found";
-
-  //       // Prepare content for Excel (handle cell limits)
-  //       let content = item.content || "";
-  //       if (content.length > 32000) {
-  //         content = content.substring(0, 32000) + "... [Content truncated due to Excel cell limit]";
-  //       }
-
-  //       modulesData.push([
-  //         item.courseTitle,
-  //         item.moduleTitle,
-  //         item.moduleId,
-  //         item.videoLink || "",
-  //         contentLength,
-  //         hasContent ? "Yes" : "No",
-  //         content,
-  //         item.scrapedAt
-  //       ]);
-  //     });
-
-  //     const modulesSheet = XLSX.utils.aoa_to_sheet(modulesData);
-  //     XLSX.utils.book_append_sheet(workbook, modulesSheet, "Modules");
-
-  //     // 3. Full content sheet (with actual content text)
-  //     const contentData = [
-  //       ["Section", "Module", "Module ID", "Video Link", "Full Content"]
-  //     ];
-
-  //     flattenedData.forEach(item => {
-  //       // Truncate content if it's too long for Excel (Excel has cell limits)
-  //       let content = item.content || "";
-  //       if (content.length > 32000) {
-  //         content = content.substring(0, 32000) + "... [Content truncated due to Excel cell limit]";
-  //       }
-
-  //       contentData.push([
-  //         item.courseTitle,
-  //         item.moduleTitle,
-  //         item.moduleId,
-  //         item.videoLink || "",
-  //         content
-  //       ]);
-  //     });
-
-  //     const contentSheet = XLSX.utils.aoa_to_sheet(contentData);
-  //     XLSX.utils.book_append_sheet(workbook, contentSheet, "Full Content");
-
-  //     // 4. Raw structure sheet (hierarchical view) with content
-  //     const structureData = [
-  //       ["Level", "Type", "Title", "ID", "Video Link", "Course Content", "Content Length"]
-  //     ];
-
-  //     courseStructure.sections.forEach(section => {
-  //       structureData.push([
-  //         1, 
-  //         "Section", 
-  //         section.courseTitle, 
-  //         "", 
-  //         "", 
-  //         "",
-  //         ""
-  //       ]);
-
-  //       section.childrenCourses.forEach(module => {
-  //         // Prepare content for Excel (handle cell limits)
-  //         let content = module.content || "No content";
-  //         let originalLength = content.length;
-          
-  //         if (content.length > 32000) {
-  //           content = content.substring(0, 32000) + "... [Content truncated due to Excel cell limit]";
-  //         }
-
-  //         structureData.push([
-  //           2,
-  //           "Module",
-  //           module.title,
-  //           module.Id || "",
-  //           module.videoLink || "",
-  //           content,
-  //           originalLength
-  //         ]);
-  //       });
-  //     });
-
-  //     const structureSheet = XLSX.utils.aoa_to_sheet(structureData);
-  //     XLSX.utils.book_append_sheet(workbook, structureSheet, "Course Structure");
-
-  //     // 5. Statistics sheet
-  //     const stats = this.calculateStatistics(flattenedData);
-  //     const statsData = [
-  //       ["Scraping Statistics", ""],
-  //       ["", ""],
-  //       ["Total Modules", stats.totalModules],
-  //       ["Modules with Content", stats.modulesWithContent],
-  //       ["Modules with Errors", stats.modulesWithErrors],
-  //       ["Modules without Content", stats.modulesWithoutContent],
-  //       ["Success Rate", stats.successRate + "%"],
-  //       ["", ""],
-  //       ["Content Statistics", ""],
-  //       ["Average Content Length", stats.avgContentLength + " characters"],
-  //       ["Longest Content", stats.maxContentLength + " characters"],
-  //       ["Shortest Content", stats.minContentLength + " characters"],
-  //       ["", ""],
-  //       ["Modules with Video Links", stats.modulesWithVideoLinks],
-  //       ["Video Link Rate", stats.videoLinkRate + "%"]
-  //     ];
-
-  //     const statsSheet = XLSX.utils.aoa_to_sheet(statsData);
-  //     XLSX.utils.book_append_sheet(workbook, statsSheet, "Statistics");
-
-  //     // Generate timestamp for filename
-  //     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  //     const filename = `course_structure_${timestamp}.xlsx`;
-
-  //     // Set column widths for better readability
-  //     const setColumnWidths = (sheet, widths) => {
-  //       if (!sheet['!cols']) sheet['!cols'] = [];
-  //       widths.forEach((width, index) => {
-  //         sheet['!cols'][index] = { wch: width };
-  //       });
-  //     };
-
-  //     // Set appropriate column widths for each sheet
-  //     setColumnWidths(overviewSheet, [25, 15]); // Overview sheet
-  //     setColumnWidths(modulesSheet, [20, 30, 25, 30, 12, 12, 50, 20]); // Modules sheet
-  //     setColumnWidths(contentSheet, [20, 30, 25, 30, 100]); // Full Content sheet
-  //     setColumnWidths(structureSheet, [8, 10, 30, 25, 30, 80, 15]); // Course Structure sheet
-  //     setColumnWidths(statsSheet, [25, 15]); // Statistics sheet
-
-  //     // Write the file
-  //     const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' });
-      
-  //     // Save to Actor key-value store
-  //     await Actor.setValue(filename, buffer, { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-      
-  //     console.log(`✅ Excel file generated: ${filename}`);
-      
-  //     return {
-  //       filename: filename,
-  //       sheets: ['Overview', 'Modules', 'Full Content', 'Course Structure', 'Statistics'],
-  //       totalRows: modulesData.length - 1, // Subtract header row
-  //       statistics: stats
-  //     };
-
-  //   } catch (error) {
-  //     console.error("Error generating Excel file:", error.message);
-  //     throw error;
-  //   }
-  // }
-
-  // // Calculate statistics for the scraped data
-  // calculateStatistics(flattenedData) {
-  //   const totalModules = flattenedData.length;
-    
-  //   const modulesWithContent = flattenedData.filter(item => 
-  //     item.content && 
-  //     item.content !== "No content scraped" && 
-  //     !item.content.startsWith("Error scraping content") &&
-  //     item.content !== "No content found" &&
-  //     item.content !== "No content found - page timeout"
-  //   ).length;
+      console.error("Error generating Excel file:", error.message);
+      throw error;
+    }
+  }
 
-  //   const modulesWithErrors = flattenedData.filter(item => 
-  //     item.content && item.content.startsWith("Error scraping content")
-  //   ).length;
+  // Calculate statistics for the scraped data
+  calculateStatistics(flattenedData) {
+    const totalModules = flattenedData.length;
+    
+    const statusCounts = countStatuses(flattenedData);
 
-  //   const modulesWithoutContent = totalModules - modulesWithContent - modulesWithErrors;
+    const modulesWithContent = statusCounts[MODULE_STATUS.OK] || 0;
+    const modulesLocked = statusCounts[MODULE_STATUS.LOCKED] || 0;
+    const modulesWithoutContent = statusCounts[MODULE_STATUS.EMPTY] || 0;
+    const modulesWithErrors = totalModules - modulesWithContent - modulesWithoutContent - modulesLocked;
+    const modulesCompleted = flattenedData.filter((item) => item.access && item.access.completed).length;
 
-  //   const successRate = totalModules > 0 ? Math.round((modulesWithContent / totalModules) * 100) : 0;
+    const successRate = totalModules > 0 ? Math.round((modulesWithContent / totalModules) * 100) : 0;
 
-  //   const contentLengths = flattenedData
-  //     .filter(item => item.content && typeof item.content === 'string')
-  //     .map(item => item.content.length);
+    const contentLengths = flattenedData
+      .filter(item => moduleStatus(item) === MODULE_STATUS.OK && typeof item.content === 'string')
+      .map(item => item.content.length);
     
-  //   const avgContentLength = contentLengths.length > 0 ? 
-  //     Math.round(contentLengths.reduce((a, b) => a + b, 0) / contentLengths.length) : 0;
+    const avgContentLength = contentLengths.length > 0 ? 
+      Math.round(contentLengths.reduce((a, b) => a + b, 0) / contentLengths.length) : 0;
     
-  //   const maxContentLength = contentLengths.length > 0 ? Math.max(...contentLengths) : 0;
-  //   const minContentLength = contentLengths.length > 0 ? Math.min(...contentLengths) : 0;
-
-  //   const modulesWithVideoLinks = flattenedData.filter(item => item.videoLink && item.videoLink.trim()).length;
-  //   const videoLinkRate = totalModules > 0 ? Math.round((modulesWithVideoLinks / totalModules) * 100) : 0;
-
-  //   return {
-  //     totalModules,
-  //     modulesWithContent,
-  //     modulesWithErrors,
-  //     modulesWithoutContent,
-  //     successRate,
-  //     avgContentLength,
-  //     maxContentLength,
-  //     minContentLength,
-  //     modulesWithVideoLinks,
-  //     videoLinkRate
-  //   };
-  // }
+    const maxContentLength = contentLengths.length > 0 ? Math.max(...contentLengths) : 0;
+    const minContentLength = contentLengths.length > 0 ? Math.min(...contentLengths) : 0;
+
+    const modulesWithVideoLinks = flattenedData.filter(item => item.videoLink && item.videoLink.trim()).length;
+    const videoLinkRate = totalModules > 0 ? Math.round((modulesWithVideoLinks / totalModules) * 100) : 0;
+
+    const modulesWithResources = flattenedData.filter(item => (item.resources || []).length > 0).length;
+    const totalResources = flattenedData.reduce((count, item) => count + (item.resources || []).length, 0);
+    const modulesWithTranscripts = flattenedData.filter(item => item.transcript && item.transcript.status === 'ok').length;
+
+    return {
+      totalModules,
+      modulesWithContent,
+      modulesWithErrors,
+      modulesWithoutContent,
+      modulesLocked,
+      modulesCompleted,
+      statusCounts,
+      successRate,
+      avgContentLength,
+      maxContentLength,
+      minContentLength,
+      modulesWithVideoLinks,
+      videoLinkRate,
+      modulesWithResources,
+      totalResources,
+      modulesWithTranscripts
+    };
+  }
 
   async close() {
     if (this.browser) {
@@ -774,19 +2099,264 @@ class SkoolScraper {
   }
 }
 
-Actor.main(async () => {
-  // const input = await Actor.getInput();
-    input ={
-    email:"Ohb@mail.com",
-    password:"riskec-buGpok-fonme0",
-    classroomUrl:"https://www.skool.com/7-figure-accelerator-by-philip-9912/classroom/0b296296?md=6f6efb25101f4066be31f70ac06c9e90"
+// Dry run: save the outline of the classroom the scraper is on, after the filters, without visiting any lesson
+async function outputCourseStructure(scraper, course) {
+  const courseStructure = await scraper.extractCourseStructure();
+  if (!courseStructure) {
+    throw new Error("Failed to extract course structure");
+  }
+  courseStructure.courseId = courseStructure.courseId || course.courseId;
+  scraper.applySelection(courseStructure);
+
+  const modules = courseStructure.sections.flatMap((section) => section.childrenCourses);
+  const outlineKey = await scraper.saveOutline(courseStructure);
+  await scraper.updateRunSummary({
+    classroomUrl: courseStructure.classroomUrl,
+    courseId: courseStructure.courseId,
+    title: courseStructure.title,
+    outlineKey,
+    totalSections: courseStructure.sections.length,
+    totalModules: modules.length,
+    progress: courseStructure.progress,
+    structureOnly: true
+  });
+
+  console.log('=== COURSE STRUCTURE (no lessons visited) ===');
+  courseStructure.sections.forEach((section) => {
+    console.log(`${section.breadcrumb}`);
+    section.childrenCourses.forEach((module) => {
+      console.log(`  - ${module.title}${module.access.locked ? ` 🔒 ${module.access.lockReason}` : ''}`);
+    });
+  });
+  console.log(`Total: ${modules.length} modules in ${courseStructure.sections.length} sections, outline saved as ${outlineKey}`);
+}
+
+// Scrape the classroom the scraper is on. Modules are pushed to the dataset while
+// they are scraped; the outline, exports and run summary are saved at the end.
+async function scrapeCourse(scraper, course, outputFormats) {
+  if (scraper.structureOnly) {
+    await outputCourseStructure(scraper, course);
+    return;
+  }
+
+  // Use the new direct ID-based scraping method
+  console.log("Using direct ID-based scraping method...");
+  const courseStructure = await scraper.scrapeDirectWithIds();
+  courseStructure.courseId = courseStructure.courseId || course.courseId;
+
+  // Compare with the last run and report what changed
+  const changeReport = scraper.incremental ? await scraper.updateSnapshot(courseStructure) : null;
+  
+  // Flatten the data for the exports and statistics
+  const flattenedData = scraper.flattenCourseStructure(courseStructure);
+
+  // Generate the requested exports (Excel file, HTML archive)
+  const exports = await scraper.generateExports(courseStructure, flattenedData, outputFormats);
+  const excelResult = exports.excelFile || null;
+
+  const stats = scraper.calculateStatistics(flattenedData);
+  const outlineKey = await scraper.saveOutline(courseStructure);
+  const result = {
+    classroomUrl: courseStructure.classroomUrl,
+    groupSlug: courseStructure.groupSlug,
+    courseId: courseStructure.courseId,
+    title: courseStructure.title,
+    outlineKey,
+    totalSections: courseStructure.sections.length,
+    totalModules: flattenedData.length,
+    statistics: stats,
+    progress: courseStructure.progress,
+    excelFile: excelResult,
+    htmlArchive: exports.htmlArchive || null,
+    chunkFile: exports.chunkFile || null,
+    changeReport: changeReport ? changeReport.key : null
+  };
+  await scraper.updateRunSummary(result);
+
+  // Log summary
+  console.log('=== SCRAPING COMPLETED ===');
+  console.log(`Course: ${courseStructure.title || course.url}`);
+  console.log(`Total sections: ${result.totalSections}`);
+  console.log(`Total modules: ${result.totalModules}`);
+  console.log(`Outline saved as ${outlineKey}, summary in RUN_SUMMARY`);
+
+  // Count modules by outcome
+  console.log(`Modules with scraped content: ${stats.modulesWithContent}`);
+  console.log(`Modules without content: ${stats.modulesWithoutContent}`);
+  console.log(`Locked modules: ${stats.modulesLocked}`);
+  console.log(`Modules with errors: ${stats.modulesWithErrors}`);
+  console.log(`By status: ${Object.entries(stats.statusCounts).map(([status, count]) => `${status} ${count}`).join(', ')}`);
+
+  const locked = flattenedData.filter((item) => item.status === MODULE_STATUS.LOCKED);
+  locked.forEach((item) => {
+    console.log(`  🔒 ${item.breadcrumb}: ${item.error ? item.error.message : 'locked'}`);
+  });
+  if (scraper.transcripts) {
+    const transcriptCounts = {};
+    flattenedData.filter((item) => item.transcript).forEach((item) => {
+      transcriptCounts[item.transcript.status] = (transcriptCounts[item.transcript.status] || 0) + 1;
+    });
+    console.log(`Transcripts: ${Object.entries(transcriptCounts).map(([status, count]) => `${status} ${count}`).join(', ') || 'no videos'}`);
+  }
+  if (courseStructure.progress) {
+    console.log(`Course progress: ${courseStructure.progress.percentComplete}% (${courseStructure.progress.completedModules}/${courseStructure.progress.totalModules} modules completed)`);
+  }
+
+  const failed = flattenedData.filter((item) => isFailure(item.status) && item.status !== MODULE_STATUS.LOCKED);
+  failed.forEach((item) => {
+    console.log(`  ✗ ${item.breadcrumb} [${item.status}, ${item.attempts} attempt(s)]: ${item.error ? item.error.message : ''}`);
+  });
+
+  if (changeReport) {
+    console.log('=== CHANGES SINCE LAST SNAPSHOT ===');
+    console.log(`Added: ${changeReport.added.length}, modified: ${changeReport.modified.length}, renamed: ${changeReport.renamed.length}, removed: ${changeReport.removed.length}, failed: ${changeReport.failed.length}, unchanged: ${changeReport.unchanged}`);
+  }
+
+  // Log Excel file generation result
+  if (excelResult) {
+    console.log('=== EXCEL FILE GENERATED ===');
+    console.log(`File: ${excelResult.filename}`);
+    console.log(`Sheets: ${excelResult.sheets.join(', ')}`);
+    console.log(`Success Rate: ${excelResult.statistics.successRate}%`);
+  }
+
+  if (exports.htmlArchive) {
+    console.log('=== HTML ARCHIVE GENERATED ===');
+    console.log(`File: ${exports.htmlArchive.filename} (${exports.htmlArchive.pages} pages)`);
+  }
+
+  if (exports.chunkFile) {
+    console.log('=== CHUNK FILE GENERATED ===');
+    console.log(`File: ${exports.chunkFile.filename} (${exports.chunkFile.chunks} chunks, ~${exports.chunkFile.tokens} tokens)`);
+  }
+}
+
+// Scrape a community's feed and save one dataset item per post, plus the RUN_SUMMARY record
+async function scrapeCommunityFeed(scraper, input) {
+  const filters = {
+    since: input.postsSince || null,
+    until: input.postsUntil || null,
+    categories: input.postCategories || []
+  };
+  const feed = await scraper.scrapeCommunity(input.communityUrl, filters);
+
+  const totalComments = feed.posts.reduce((count, post) => count + countComments(post.comments), 0);
+  for (const post of feed.posts) {
+    await Actor.pushData({ type: 'post', itemKey: `${feed.groupSlug}:${post.id}`, groupSlug: feed.groupSlug, ...post });
   }
+
+  await Actor.setValue('RUN_SUMMARY', {
+    mode: 'community',
+    groupSlug: feed.groupSlug,
+    communityUrl: feed.groupUrl,
+    filters,
+    categories: feed.categories,
+    totalPosts: feed.posts.length,
+    totalComments,
+    updatedAt: new Date().toISOString()
+  });
+
+  // Log summary
+  console.log('=== COMMUNITY FEED SCRAPED ===');
+  console.log(`Community: ${feed.groupSlug}`);
+  console.log(`Posts: ${feed.posts.length} (${feed.posts.filter((post) => post.pinned).length} pinned)`);
+  console.log(`Comments and replies: ${totalComments}`);
+  feed.posts.filter((post) => post.commentsError).forEach((post) => {
+    console.log(`  ✗ Comments of "${post.title}" could not be loaded: ${post.commentsError}`);
+  });
+}
+
+// Regenerate the key-value store exports from the module items of an earlier run's dataset.
+// Datasets of older versions hold a rawStructure record per course instead.
+async function regenerateExports(datasetId, outputFormats, options) {
+  console.log(`Loading scraped courses from dataset ${datasetId}...`);
+  const dataset = await Actor.openDataset(datasetId);
+
+  const rawStructures = [];
+  const moduleItems = [];
+  await dataset.forEach(async (item) => {
+    if (item.rawStructure) {
+      rawStructures.push(item.rawStructure);
+    } else if (item.type === 'module') {
+      moduleItems.push(item);
+    }
+  });
+
+  const courseStructures = rawStructures.length > 0 ? rawStructures : courseStructuresFromItems(moduleItems);
+  if (courseStructures.length === 0) {
+    throw new Error(`No module items found in dataset ${datasetId}`);
+  }
+
+  const scraper = new SkoolScraper(options);
+  for (const courseStructure of courseStructures) {
+    const flattenedData = scraper.flattenCourseStructure(courseStructure);
+    const exports = await scraper.generateExports(courseStructure, flattenedData, outputFormats);
+
+    console.log(`=== EXPORTS REGENERATED: ${courseStructure.title || courseStructure.classroomUrl} ===`);
+    Object.values(exports).forEach((file) => console.log(`File: ${file.filename}`));
+  }
+}
+
+// Run the scraper for one input, on the Apify platform or locally (see bin/skool-scraper.js)
+async function runScraper(input) {
+  const outputFormats = input.outputFormats || [];
+
+  // Rebuild exports from a previous run's dataset, no login needed
+  if (input.sourceDatasetId) {
+    await regenerateExports(input.sourceDatasetId, outputFormats, input);
+    return;
+  }
+
   // Validate input
-  if (!input.email || !input.password || !input.classroomUrl) {
-    throw new Error('Missing required input parameters: email, password, and classroomUrl');
+  if ((!input.email || !input.password) && !input.sessionCookies) {
+    throw new Error('Missing required input parameters: email and password, or sessionCookies');
+  }
+  const mode = input.mode || 'classroom';
+  if (mode === 'community' && !input.communityUrl) {
+    throw new Error('Missing required input: communityUrl (needed in community mode)');
+  }
+  if (!input.classroomUrl && !input.communityUrl && !(input.classroomUrls || []).length) {
+    throw new Error('Missing required input: classroomUrl, classroomUrls or communityUrl');
   }
 
-  const scraper = new SkoolScraper();
+  const scraper = new SkoolScraper({
+    maxConcurrency: input.maxConcurrency,
+    delayBetweenRequests: input.delayBetweenRequests,
+    email: input.email,
+    contentFormat: input.contentFormat,
+    includeBlocks: input.includeBlocks,
+    outputFormats: input.outputFormats,
+    chunkSize: input.chunkSize,
+    chunkOverlap: input.chunkOverlap,
+    downloadAssets: input.downloadAssets,
+    transcripts: input.transcripts,
+    proxyConfiguration: input.proxyConfiguration,
+    userAgent: input.userAgent,
+    viewportWidth: input.viewportWidth,
+    viewportHeight: input.viewportHeight,
+    locale: input.locale,
+    timezone: input.timezone,
+    transcriptLanguages: input.transcriptLanguages,
+    sessionCookies: input.sessionCookies,
+    incremental: input.incremental,
+    snapshotStoreName: input.snapshotStoreName,
+    stateStoreName: input.stateStoreName,
+    sessionStoreName: input.sessionStoreName,
+    contentSelectors: input.contentSelectors,
+    classroomUrl: input.classroomUrl,
+    classroomUrls: input.classroomUrls,
+    communityUrl: input.communityUrl,
+    maxRetries: input.maxRetries,
+    stateTtlMinutes: input.stateTtlMinutes,
+    resetState: input.resetState,
+    includeSections: input.includeSections,
+    excludeSections: input.excludeSections,
+    includeModules: input.includeModules,
+    excludeModules: input.excludeModules,
+    moduleIds: input.moduleIds,
+    maxModules: input.maxModules,
+    structureOnly: input.structureOnly
+  });
 
   // Set up migration handler
   Actor.on('migrating', async () => {
@@ -797,6 +2367,13 @@ Actor.main(async () => {
   try {
     await scraper.init();
 
+    // Community mode reads the discussion feed instead of the classrooms
+    if (mode === 'community') {
+      await scraper.login(input.email, input.password);
+      await scrapeCommunityFeed(scraper, input);
+      return;
+    }
+
     // Skip if already completed
     if (scraper.currentState.step === 'completed') {
       console.log('Scraping already completed');
@@ -806,81 +2383,33 @@ Actor.main(async () => {
     // Login with provided credentials (skip if already logged in)
     await scraper.login(input.email, input.password);
 
-    // Navigate to the specific classroom (skip if already navigated)
-    if (scraper.currentState.step !== 'scraping') {
-      await scraper.navigateToClassroom(input.classroomUrl);
-      scraper.currentState.step = 'scraping';
+    // Work out which courses to scrape. Kept in the state so a migrated run
+    // continues with the same list.
+    if (!scraper.currentState.courses) {
+      scraper.currentState.courses = await scraper.resolveCourses(input);
+      scraper.currentState.currentCourseIndex = 0;
       await scraper.saveState();
     }
 
-    // Use the new direct ID-based scraping method
-    console.log("Using direct ID-based scraping method...");
-    const courseStructure = await scraper.scrapeDirectWithIds();
-    
-    // Flatten the data for output
-    const flattenedData = [];
-    courseStructure.sections.forEach((section) => {
-      section.childrenCourses.forEach((module) => {
-        flattenedData.push({
-          courseTitle: section.courseTitle,
-          moduleTitle: module.title,
-          moduleId: module.Id,
-          videoLink: module.videoLink || "",
-          content: module.content || "No content scraped",
-          scrapedAt: new Date().toISOString(),
-        });
-      });
-    });
-
-    // // Generate Excel file
-    // console.log("Generating Excel file for course structure...");
-    // const excelResult = await scraper.generateExcelFile(courseStructure, flattenedData);
-
-    const result = {
-      type: 'direct_id_scraping',
-      totalSections: courseStructure.sections.length,
-      totalModules: flattenedData.length,
-      data: flattenedData,
-      rawStructure: courseStructure,
-      // excelFile: excelResult // Add Excel file info to result
-    };
+    const { courses } = scraper.currentState;
+    for (let i = scraper.currentState.currentCourseIndex; i < courses.length; i++) {
+      const course = courses[i];
+      console.log(`=== COURSE ${i + 1}/${courses.length}: ${course.title || course.url} ===`);
 
-    // Mark as completed
-    scraper.currentState.step = 'completed';
-    await scraper.saveState();
+      // Navigate to the classroom, also after a migration: the new browser starts on a blank page
+      await scraper.navigateToClassroom(course.url);
+      scraper.currentState.step = 'scraping';
+      await scraper.saveState();
 
-    // Save results to dataset
-    await Actor.pushData(result);
+      await scrapeCourse(scraper, course, outputFormats);
 
-    // Also save individual items for easier processing
-    for (const item of result.data) {
-      await Actor.pushData(item);
+      scraper.startNextCourse(i + 1);
+      await scraper.saveState();
     }
 
-    // Log summary
-    console.log('=== SCRAPING COMPLETED ===');
-    console.log(`Scraping method: ${result.type}`);
-    console.log(`Total sections: ${result.totalSections}`);
-    console.log(`Total modules: ${result.totalModules}`);
-    
-    // Count modules with content
-    const modulesWithContent = result.data.filter(item => 
-      item.content && 
-      item.content !== "No content scraped" && 
-      !item.content.startsWith("Error scraping content")
-    ).length;
-    console.log(`Modules with scraped content: ${modulesWithContent}`);
-    
-    const modulesWithErrors = result.data.filter(item => 
-      item.content && item.content.startsWith("Error scraping content")
-    ).length;
-    console.log(`Modules with errors: ${modulesWithErrors}`);
-
-    // // Log Excel file generation result
-    // console.log('=== EXCEL FILE GENERATED ===');
-    // console.log(`File: ${excelResult.filename}`);
-    // console.log(`Sheets: ${excelResult.sheets.join(', ')}`);
-    // console.log(`Success Rate: ${excelResult.statistics.successRate}%`);
+    // Mark as completed
+    scraper.currentState.step = 'completed';
+    await scraper.saveState();
 
   } catch (error) {
     if (error.message === 'Migration in progress') {
@@ -893,4 +2422,19 @@ Actor.main(async () => {
   } finally {
     await scraper.close();
   }
-});
\ No newline at end of file
+}
+
+// Actor entry point. Locally (`apify run`, `npm start`) the input is read from storage/key_value_stores/default/INPUT.json.
+async function main() {
+  const input = await Actor.getInput();
+  if (!input) {
+    throw new Error('No input provided. On the Apify platform fill in the input form; locally use the skool-scraper CLI or storage/key_value_stores/default/INPUT.json');
+  }
+  await runScraper(input);
+}
+
+if (require.main === module) {
+  Actor.main(main);
+}
+
+module.exports = { SkoolScraper, runScraper, scrapeCourse };
@@ -0,0 +1,103 @@
+// Access and progress of courses, folders and lessons, read from their
+// __NEXT_DATA__ nodes. Skool hides locked lessons' bodies but still lists them
+// in the outline, with what it takes to open them:
+//
+//   { locked: true, lockReason: 'Unlocks at level 3', unlockLevel: 3,
+//     unlockAt: null, unlockAfterDays: null, requiredTier: null, completed: false }
+//
+// Locks are inherited: every lesson in a locked folder is locked too.
+
+function firstDefined(...values) {
+  return values.find((value) => value !== undefined && value !== null && value !== '');
+}
+
+function isFalse(value) {
+  return value === false || value === 0 || value === '0';
+}
+
+function isTrue(value) {
+  return value === true || value === 1 || value === '1';
+}
+
+// Drip dates come as ISO strings or as Unix timestamps in seconds or milliseconds
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  const date = Number.isFinite(number) ? new Date(number < 1e12 ? number * 1000 : number) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Access of one node of the course tree, given its parent's. `now` is only there for tests.
+function accessOf(course = {}, parentAccess = null, { completedIds = new Set(), now = Date.now() } = {}) {
+  const metadata = course.metadata || {};
+  const unlockLevel = firstDefined(metadata.unlockLevel, metadata.minLevel, metadata.levelGate, course.unlockLevel);
+  const unlockAt = parseDate(firstDefined(metadata.unlockAt, metadata.dripDate, metadata.releaseDate, course.unlockAt));
+  const unlockAfterDays = firstDefined(metadata.dripDays, metadata.unlockAfterDays, metadata.dripDelay);
+  const requiredTier = firstDefined(metadata.minTier, metadata.requiredTier);
+
+  const denied = isFalse(course.hasAccess) || isFalse(metadata.hasAccess) || isTrue(course.locked) || isTrue(metadata.locked);
+  const scheduled = Boolean(unlockAt) && new Date(unlockAt).getTime() > now;
+  const locked = denied || scheduled || Boolean(parentAccess && parentAccess.locked);
+
+  let lockReason = null;
+  if (parentAccess && parentAccess.locked && !denied && !scheduled) {
+    lockReason = parentAccess.lockReason;
+  } else if (locked) {
+    if (requiredTier) {
+      lockReason = `Requires ${requiredTier} tier`;
+    } else if (unlockLevel) {
+      lockReason = `Unlocks at level ${unlockLevel}`;
+    } else if (unlockAt) {
+      lockReason = `Unlocks on ${unlockAt.slice(0, 10)}`;
+    } else if (unlockAfterDays) {
+      lockReason = `Unlocks ${unlockAfterDays} days after joining`;
+    } else {
+      lockReason = 'No access';
+    }
+  }
+
+  const completed = completedIds.has(course.id) || [course.completed, course.isCompleted, metadata.completed, metadata.isCompleted]
+    .some(isTrue);
+
+  return {
+    locked,
+    lockReason,
+    unlockLevel: unlockLevel !== undefined ? Number(unlockLevel) || unlockLevel : null,
+    unlockAt,
+    unlockAfterDays: unlockAfterDays !== undefined ? Number(unlockAfterDays) || unlockAfterDays : null,
+    requiredTier: requiredTier || null,
+    completed
+  };
+}
+
+// IDs of the lessons the member completed, when the page lists them apart from the outline
+function completedIdsOf(pageProps = {}) {
+  const lists = [
+    pageProps.completedModuleIds,
+    pageProps.completedModules,
+    pageProps.progress && pageProps.progress.completedIds,
+    pageProps.course && pageProps.course.completedIds
+  ];
+  return new Set(lists.filter(Array.isArray).flat().map((entry) => (entry && typeof entry === 'object' ? entry.id : entry)));
+}
+
+// Completion of a list of modules; Skool's own percentage wins when the course has one
+function progressOf(modules, reportedPercent) {
+  const completedModules = modules.filter((module) => module.access && module.access.completed).length;
+  const totalModules = modules.length;
+  const computed = totalModules > 0 ? Math.round((completedModules / totalModules) * 100) : 0;
+  const reported = reportedPercent === undefined || reportedPercent === null ? NaN : Number(reportedPercent);
+  return {
+    completedModules,
+    totalModules,
+    percentComplete: Number.isFinite(reported) ? Math.round(reported) : computed
+  };
+}
+
+module.exports = {
+  accessOf,
+  completedIdsOf,
+  progressOf
+};
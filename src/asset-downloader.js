@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const path = require('path');
+const cheerio = require('cheerio');
+
+// Downloads images and attached files referenced by a lesson into the
+// key-value store, so archives keep working after Skool's signed CDN URLs
+// expire. Records are keyed by a hash of the URL without its query string,
+// which keeps the key stable across runs even when the signature changes.
+
+// Hosts whose files we copy; anything else is left as an external link
+const ASSET_HOSTS = [
+  /(^|\.)skool\.com$/i,
+  /(^|\.)skoolusercontent\.com$/i,
+  /\.cloudfront\.net$/i,
+  /(^|\.)amazonaws\.com$/i,
+  /(^|\.)googleusercontent\.com$/i,
+  /(^|\.)imgix\.net$/i
+];
+
+// Extensions of downloadable files, also used to tell file resources from links
+const FILE_EXTENSION = /\.(pdf|zip|rar|7z|docx?|xlsx?|pptx?|csv|txt|rtf|epub|key|numbers|pages|png|jpe?g|gif|webp|svg|mp3|m4a|wav|mp4|mov)$/i;
+
+// Skip anything bigger than this so one huge attachment can't exhaust memory
+const MAX_ASSET_BYTES = 100 * 1024 * 1024;
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isKnownAssetHost(url) {
+  return ASSET_HOSTS.some((pattern) => pattern.test(url.hostname));
+}
+
+// Images on known hosts are always copied. Links only count as assets when
+// they point at a file, not at another Skool page.
+function isDownloadableAsset(value, kind) {
+  const url = parseUrl(value);
+  if (!url || !['http:', 'https:'].includes(url.protocol) || !isKnownAssetHost(url)) {
+    return false;
+  }
+  if (kind === 'image') {
+    return true;
+  }
+  return FILE_EXTENSION.test(url.pathname) || !/(^|\.)skool\.com$/i.test(url.hostname);
+}
+
+// Collect the image and file URLs referenced by the editor HTML
+function collectAssetUrls(html) {
+  const $ = cheerio.load(html || '', null, false);
+  const assets = new Map();
+
+  $('img').each((i, elem) => {
+    const src = $(elem).attr('src') || $(elem).attr('originalsrc');
+    if (src && isDownloadableAsset(src, 'image')) {
+      assets.set(src, 'image');
+    }
+  });
+  $('a[href]').each((i, elem) => {
+    const href = $(elem).attr('href');
+    if (isDownloadableAsset(href, 'file') && !assets.has(href)) {
+      assets.set(href, 'file');
+    }
+  });
+
+  return Array.from(assets, ([url, kind]) => ({ url, kind }));
+}
+
+// Stable key-value store key for an asset URL
+function assetKey(value) {
+  const url = parseUrl(value);
+  const stableUrl = url ? `${url.origin}${url.pathname}` : value;
+  const hash = crypto.createHash('sha1').update(stableUrl).digest('hex').slice(0, 20);
+  const extension = url ? path.extname(url.pathname).toLowerCase() : '';
+  return `asset-${hash}${/^\.[a-z0-9]{1,8}$/.test(extension) ? extension : ''}`;
+}
+
+class AssetDownloader {
+  constructor({ store, fetchImpl = fetch, maxBytes = MAX_ASSET_BYTES } = {}) {
+    this.store = store;
+    this.fetchImpl = fetchImpl;
+    this.maxBytes = maxBytes;
+    this.downloaded = new Map(); // Key → asset record, shared across modules
+  }
+
+  // Fetch one asset and store it. `headers` carries the browser session's cookies.
+  async download(url, { kind = 'file', headers = {} } = {}) {
+    const key = assetKey(url);
+    if (this.downloaded.has(key)) {
+      return { ...this.downloaded.get(key), sourceUrl: url };
+    }
+
+    const response = await this.fetchImpl(url, { headers, redirect: 'follow' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length'), 10);
+    if (declaredSize > this.maxBytes) {
+      throw new Error(`Asset too large (${declaredSize} bytes): ${url}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > this.maxBytes) {
+      throw new Error(`Asset too large (${buffer.length} bytes): ${url}`);
+    }
+
+    const mimeType = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim();
+    await this.store.setValue(key, buffer, { contentType: mimeType });
+
+    const asset = {
+      key,
+      kind,
+      url: this.store.getPublicUrl(key),
+      sourceUrl: url,
+      mimeType,
+      size: buffer.length,
+      checksum: `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`
+    };
+    this.downloaded.set(key, asset);
+    return asset;
+  }
+}
+
+// Point images and links at the stored copies instead of the original URLs
+function rewriteAssetUrls(html, assets) {
+  const stored = new Map(assets.map((asset) => [asset.sourceUrl, asset.url]));
+  if (stored.size === 0) {
+    return html;
+  }
+
+  const $ = cheerio.load(html, null, false);
+  ['src', 'originalsrc', 'href'].forEach((attribute) => {
+    $(`[${attribute}]`).each((i, elem) => {
+      const value = $(elem).attr(attribute);
+      if (stored.has(value)) {
+        $(elem).attr(attribute, stored.get(value));
+      }
+    });
+  });
+  return $.html();
+}
+
+module.exports = {
+  AssetDownloader,
+  FILE_EXTENSION,
+  assetKey,
+  collectAssetUrls,
+  isDownloadableAsset,
+  rewriteAssetUrls
+};
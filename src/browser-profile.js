@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { ProxyAgent, Socks5ProxyAgent, fetch: undiciFetch } = require('undici');
+
+// Browser fingerprint and proxy of the scraping session. The default user
+// agent is built from the Chromium Puppeteer launched, so it never claims a
+// browser version the page can tell apart from the real one, and the client
+// hints and navigator.platform are made to agree with whatever user agent is used:
+//
+//   { userAgent: null, viewport: { width: 1366, height: 768 }, locale: 'en-US', timezone: 'Europe/Berlin' }
+//
+// `userAgent: null` means "the default for the launched browser".
+
+const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
+
+const DEFAULT_LOCALE = 'en-US';
+
+// User agent platform tokens, navigator.platform and client hint platform per OS
+const PLATFORMS = [
+  { os: 'win32', token: 'Windows NT 10.0; Win64; x64', pattern: /Windows/, navigatorPlatform: 'Win32', hintPlatform: 'Windows', hintPlatformVersion: '10.0.0' },
+  { os: 'darwin', token: 'Macintosh; Intel Mac OS X 10_15_7', pattern: /Mac OS X/, navigatorPlatform: 'MacIntel', hintPlatform: 'macOS', hintPlatformVersion: '10.15.7' },
+  { os: 'linux', token: 'X11; Linux x86_64', pattern: /Linux/, navigatorPlatform: 'Linux x86_64', hintPlatform: 'Linux', hintPlatformVersion: '' }
+];
+
+// Validate the fingerprint inputs once, before launching the browser
+function createBrowserProfile(options = {}) {
+  const width = parseInt(options.viewportWidth, 10);
+  const height = parseInt(options.viewportHeight, 10);
+
+  let locale = DEFAULT_LOCALE;
+  if (options.locale) {
+    try {
+      [locale] = Intl.getCanonicalLocales(options.locale);
+    } catch (error) {
+      throw new Error(`Invalid locale "${options.locale}": ${error.message}`);
+    }
+  }
+
+  const timezone = options.timezone || null;
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Invalid timezone "${timezone}": ${error.message}`);
+    }
+  }
+
+  return {
+    userAgent: options.userAgent ? String(options.userAgent).trim() : null,
+    viewport: {
+      width: width > 0 ? width : DEFAULT_VIEWPORT.width,
+      height: height > 0 ? height : DEFAULT_VIEWPORT.height
+    },
+    locale,
+    timezone
+  };
+}
+
+// Chrome's reduced user agent for the launched browser. browser.version() is e.g. "HeadlessChrome/148.0.7778.97".
+function defaultUserAgent(browserVersion, os = process.platform) {
+  const major = (String(browserVersion).match(/Chrome\/(\d+)/) || [])[1] || '148';
+  const platform = PLATFORMS.find((candidate) => candidate.os === os) || PLATFORMS[0];
+  return `Mozilla/5.0 (${platform.token}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Safari/537.36`;
+}
+
+// Arguments of page.setUserAgent(): the user agent with a matching navigator.platform and,
+// for Chrome user agents, client hints that don't give away the headless browser
+function userAgentOverride(userAgent, browserVersion = '') {
+  const platform = PLATFORMS.find((candidate) => candidate.pattern.test(userAgent));
+  const major = (userAgent.match(/Chrome\/(\d+)/) || [])[1];
+  const fullVersion = (String(browserVersion).match(/Chrome\/([\d.]+)/) || [])[1];
+
+  const override = { userAgent };
+  if (platform) {
+    override.platform = platform.navigatorPlatform;
+  }
+  if (major && !/Edg\/|OPR\//.test(userAgent)) {
+    const brands = [
+      { brand: 'Chromium', version: major },
+      { brand: 'Google Chrome', version: major },
+      { brand: 'Not.A/Brand', version: '99' }
+    ];
+    const sameVersion = fullVersion && fullVersion.split('.')[0] === major;
+    override.userAgentMetadata = {
+      brands,
+      fullVersionList: brands.map(({ brand, version }) => ({
+        brand,
+        version: brand === 'Not.A/Brand' ? '99.0.0.0' : (sameVersion ? fullVersion : `${major}.0.0.0`)
+      })),
+      fullVersion: sameVersion ? fullVersion : `${major}.0.0.0`,
+      platform: platform ? platform.hintPlatform : 'Unknown',
+      platformVersion: platform ? platform.hintPlatformVersion : '',
+      architecture: 'x86',
+      model: '',
+      mobile: false
+    };
+  }
+  return override;
+}
+
+// Accept-Language header for a locale: "de-DE" → "de-DE,de;q=0.9"
+function acceptLanguage(locale) {
+  const language = locale.split('-')[0];
+  return language === locale ? locale : `${locale},${language};q=0.9`;
+}
+
+// Chrome takes the proxy server on the command line and its credentials per page
+function proxyLaunchOptions(proxyUrl) {
+  if (!proxyUrl) {
+    return null;
+  }
+  const url = new URL(proxyUrl);
+  return {
+    server: `${url.protocol}//${url.host}`,
+    credentials: url.username
+      ? { username: decodeURIComponent(url.username), password: decodeURIComponent(url.password) }
+      : null
+  };
+}
+
+// fetch for the requests made outside the browser (assets, captions), through the same proxy and session as Chrome
+function proxyFetch(proxyUrl) {
+  if (!proxyUrl) {
+    return fetch;
+  }
+  const dispatcher = /^socks5?:/i.test(proxyUrl) ? new Socks5ProxyAgent(proxyUrl) : new ProxyAgent(proxyUrl);
+  return (url, init = {}) => undiciFetch(url, { ...init, dispatcher });
+}
+
+// Apify Proxy keeps the same IP for the same session ID
+function newProxySessionId() {
+  return `skool_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  DEFAULT_VIEWPORT,
+  acceptLanguage,
+  createBrowserProfile,
+  defaultUserAgent,
+  newProxySessionId,
+  proxyFetch,
+  proxyLaunchOptions,
+  userAgentOverride
+};
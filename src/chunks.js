@@ -0,0 +1,196 @@
+const { htmlToMarkdown } = require('./html-to-markdown');
+const { blocksToHtml } = require('./content-blocks');
+const { moduleItemKey } = require('./dataset-items');
+
+// Splits lesson content into chunks for retrieval (RAG) systems. Chunks break
+// at headings first, then between paragraphs, then between sentences, and
+// hold at most about `chunkSize` tokens. Consecutive chunks of one section
+// share about `chunkOverlap` tokens. Every chunk carries where it came from:
+//
+//   { id: 'course-1:mod-basics#0', text: '## Setup\n\n…', tokens: 412, chunkIndex: 0, chunkCount: 3,
+//     headings: ['Setup'], metadata: { classroomUrl, sectionTitle, moduleTitle, moduleId, moduleUrl, videoLink, resources, … } }
+//
+// Lessons are chunked as Markdown built from their block tree, so headings
+// still mark the boundaries when the content format is plain text.
+//
+// Token counts are estimates (about 4 characters per token for English text),
+// close enough to size chunks without shipping a tokenizer.
+
+const CHARS_PER_TOKEN = 4;
+
+const DEFAULT_CHUNK_SIZE = 500;
+const DEFAULT_CHUNK_OVERLAP = 50;
+
+const HEADING_LINE = /^(#{1,6})\s+(.+)$/;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+// Sizes in tokens; the overlap is kept under half a chunk so chunks always move forward
+function chunkOptions({ chunkSize, chunkOverlap } = {}) {
+  const size = parseInt(chunkSize, 10) > 0 ? parseInt(chunkSize, 10) : DEFAULT_CHUNK_SIZE;
+  const overlap = parseInt(chunkOverlap, 10) >= 0 ? parseInt(chunkOverlap, 10) : DEFAULT_CHUNK_OVERLAP;
+  return { chunkSize: size, chunkOverlap: Math.min(overlap, Math.floor(size / 2)) };
+}
+
+// Paragraphs grouped under the headings they follow. Headings stay in the text as the first paragraph of their section.
+function splitSections(content) {
+  const sections = [{ headings: [], paragraphs: [] }];
+  const path = [];
+
+  String(content || '').split(/\n{2,}/).map((paragraph) => paragraph.trim()).filter(Boolean).forEach((paragraph) => {
+    const [firstLine, ...rest] = paragraph.split('\n');
+    const heading = firstLine.match(HEADING_LINE);
+    if (!heading) {
+      sections[sections.length - 1].paragraphs.push(paragraph);
+      return;
+    }
+
+    const level = heading[1].length;
+    // Cut the path back to the parent level, which may be missing: an h2 after an h2 replaces it
+    path.length = Math.min(path.length, level - 1);
+    path[level - 1] = heading[2].trim();
+    sections.push({ headings: path.filter(Boolean), paragraphs: [firstLine] });
+    if (rest.length > 0) {
+      sections[sections.length - 1].paragraphs.push(rest.join('\n'));
+    }
+  });
+
+  return sections.filter((section) => section.paragraphs.length > 0);
+}
+
+// Cut text longer than maxTokens at sentence ends, sentences still too long at spaces,
+// and words still too long (URLs, base64, text without spaces) every maxChars characters
+function splitLongText(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) {
+    return [text];
+  }
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const pieces = [];
+  let current = '';
+  text.split(/(?<=[.!?])\s+/)
+    .flatMap((sentence) => (sentence.length > maxChars ? sentence.split(/\s+/) : [sentence]))
+    .flatMap((word) => (word.length > maxChars ? word.match(new RegExp(`[^]{1,${maxChars}}`, 'g')) : [word]))
+    .forEach((part) => {
+      if (current && current.length + 1 + part.length > maxChars) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${part}` : part;
+    });
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+// The last ~overlap tokens of a chunk, starting at a word
+function overlapText(text, overlap) {
+  if (overlap <= 0) {
+    return '';
+  }
+  const tail = text.slice(-overlap * CHARS_PER_TOKEN);
+  return tail.length < text.length ? tail.replace(/^\S*\s+/, '') : tail;
+}
+
+// Chunks of one lesson's Markdown or plain text, as { text, tokens, headings }
+function chunkText(content, options = {}) {
+  const { chunkSize, chunkOverlap } = chunkOptions(options);
+  const chunks = [];
+
+  splitSections(content).forEach(({ headings, paragraphs }) => {
+    // A heading always starts a chunk together with the text under it
+    const [first, ...rest] = headings.length > 0 && paragraphs.length > 1
+      ? [`${paragraphs[0]}\n\n${paragraphs[1]}`, ...paragraphs.slice(2)]
+      : paragraphs;
+    const pieces = [first, ...rest].flatMap((paragraph) => splitLongText(paragraph, chunkSize));
+    let current = [];
+    let hasNewText = false;
+
+    const emit = () => {
+      const text = current.join('\n\n');
+      chunks.push({ text, tokens: estimateTokens(text), headings });
+      const overlap = overlapText(text, chunkOverlap);
+      current = overlap ? [overlap] : [];
+      hasNewText = false;
+    };
+
+    pieces.forEach((piece) => {
+      if (estimateTokens([...current, piece].join('\n\n')) > chunkSize) {
+        if (hasNewText) {
+          emit();
+        }
+        // Drop the overlap when it can't fit next to the piece
+        if (estimateTokens([...current, piece].join('\n\n')) > chunkSize) {
+          current = [];
+        }
+      }
+      current.push(piece);
+      hasNewText = true;
+    });
+    if (hasNewText) {
+      emit();
+    }
+  });
+
+  return chunks;
+}
+
+// Markdown of a lesson: from its block tree when it has one, else from its content
+function moduleMarkdown(module, contentFormat) {
+  if (module.blocks) {
+    return htmlToMarkdown(blocksToHtml(module.blocks));
+  }
+  return contentFormat === 'html' ? htmlToMarkdown(module.content) : module.content;
+}
+
+// Chunks of every module with content, in outline order. `moduleUrl(moduleId)` gives a lesson's deep link.
+function buildChunks(courseStructure, { moduleUrl = () => null, ...options } = {}) {
+  const contentFormat = courseStructure.contentFormat || 'text';
+
+  return courseStructure.sections.flatMap((section) => section.childrenCourses.flatMap((module) => {
+    if (!module.content) {
+      return [];
+    }
+    const itemKey = moduleItemKey(courseStructure, module);
+    const chunks = chunkText(moduleMarkdown(module, contentFormat), options);
+
+    return chunks.map((chunk, chunkIndex) => ({
+      id: `${itemKey}#${chunkIndex}`,
+      text: chunk.text,
+      tokens: chunk.tokens,
+      chunkIndex,
+      chunkCount: chunks.length,
+      headings: chunk.headings,
+      metadata: {
+        itemKey,
+        classroomUrl: courseStructure.classroomUrl || null,
+        classroomTitle: courseStructure.title || null,
+        courseId: courseStructure.courseId || null,
+        sectionTitle: section.courseTitle,
+        moduleTitle: module.title,
+        moduleId: module.Id || null,
+        moduleUrl: moduleUrl(module.Id),
+        breadcrumb: module.breadcrumb || `${section.courseTitle} › ${module.title}`,
+        videoLink: module.videoLink || null,
+        resources: module.resources || []
+      }
+    }));
+  }));
+}
+
+// One JSON object per line
+function toJsonl(records) {
+  return records.map((record) => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+}
+
+module.exports = {
+  DEFAULT_CHUNK_OVERLAP,
+  DEFAULT_CHUNK_SIZE,
+  buildChunks,
+  chunkOptions,
+  chunkText,
+  estimateTokens,
+  toJsonl
+};
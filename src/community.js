@@ -0,0 +1,142 @@
+// Community feed parsing. The feed page (https://www.skool.com/<group>?p=2)
+// carries a page of posts in its __NEXT_DATA__ payload as `postTrees`, and a
+// post's own page (https://www.skool.com/<group>/<post-name>) carries the post
+// with its comments as `postTree`, replies nested under `children`:
+//
+//   { post: { id, name, labelId, createdAt, updatedAt, user: {...},
+//             metadata: { title, content, upvotes, comments, pinned } },
+//     children: [{ post: {...}, children: [...] }] }
+//
+// Everything here works on that JSON; the scraper does the navigation.
+
+// Feed URL of one page, newest posts first, optionally limited to one category
+function feedPageUrl(groupUrl, pageNumber, categoryId) {
+  const url = new URL(groupUrl);
+  url.searchParams.set('s', 'newest');
+  if (pageNumber > 1) {
+    url.searchParams.set('p', String(pageNumber));
+  }
+  if (categoryId) {
+    url.searchParams.set('c', categoryId);
+  }
+  return url.toString();
+}
+
+// Category ID → name. Skool calls categories "labels".
+function parseCategories(pageProps = {}) {
+  const labels = pageProps.labels || (pageProps.currentGroup && pageProps.currentGroup.labels) || [];
+  return new Map(labels.map((label) => [label.id, (label.metadata && label.metadata.displayName) || label.name || label.id]));
+}
+
+// Categories to scrape, by name (case-insensitive) or ID. Unknown names are an error, so a typo doesn't scrape the whole feed.
+function resolveCategoryIds(categories, wanted = []) {
+  return wanted.map((value) => {
+    const needle = String(value).trim().toLowerCase();
+    const match = Array.from(categories.entries()).find(([id, name]) => id === value || name.toLowerCase() === needle);
+    if (!match) {
+      throw new Error(`Unknown post category "${value}". Available: ${Array.from(categories.values()).join(', ') || 'none'}`);
+    }
+    return match[0];
+  });
+}
+
+function parseFeedPage(nextData) {
+  const pageProps = (nextData && nextData.props && nextData.props.pageProps) || {};
+  return {
+    postTrees: pageProps.postTrees || [],
+    categories: parseCategories(pageProps),
+    totalPages: pageProps.totalPages || null
+  };
+}
+
+function authorName(user) {
+  if (!user) {
+    return null;
+  }
+  const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ').trim();
+  return fullName || (user.metadata && user.metadata.displayName) || user.name || null;
+}
+
+// Category of a post: its labelId, or the first ID of the comma separated metadata.labels
+function categoryId(post) {
+  const labels = String((post.metadata && post.metadata.labels) || '').split(',').filter(Boolean);
+  return post.labelId || labels[0] || null;
+}
+
+function isPinned(post) {
+  const pinned = post.metadata && post.metadata.pinned;
+  return pinned === true || pinned === 1 || pinned === '1';
+}
+
+// Fields shared by posts and comments. `formatBody` turns the stored body into the configured content format.
+function toEntry(post, formatBody) {
+  const metadata = post.metadata || {};
+  return {
+    id: post.id,
+    author: authorName(post.user),
+    content: formatBody(metadata.content || ''),
+    likes: Number(metadata.upvotes) || 0,
+    createdAt: post.createdAt || null,
+    updatedAt: post.updatedAt || null
+  };
+}
+
+function toPost(postTree, { groupUrl, categories, formatBody }) {
+  const post = postTree.post || postTree;
+  const metadata = post.metadata || {};
+  const category = categoryId(post);
+  return {
+    id: post.id,
+    title: metadata.title || '',
+    url: `${groupUrl.replace(/\/+$/, '')}/${post.name}`,
+    ...toEntry(post, formatBody),
+    category: category ? categories.get(category) || category : null,
+    categoryId: category,
+    pinned: isPinned(post),
+    commentCount: Number(metadata.comments) || 0
+  };
+}
+
+// Threaded comments of a post page's postTree, replies nested under `replies`
+function toComments(children = [], formatBody) {
+  return children.map((child) => ({
+    ...toEntry(child.post || child, formatBody),
+    replies: toComments(child.children, formatBody)
+  }));
+}
+
+// Total number of comments and replies in a thread
+function countComments(comments) {
+  return comments.reduce((count, comment) => count + 1 + countComments(comment.replies), 0);
+}
+
+// Parse the since/until filters; a bare date as until covers the whole day
+function parseDateRange({ since, until } = {}) {
+  const parse = (value, endOfDay) => {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return date;
+  };
+  return { since: parse(since, false), until: parse(until, true) };
+}
+
+function inDateRange(post, { since, until }) {
+  const createdAt = new Date(post.createdAt);
+  return (!since || createdAt >= since) && (!until || createdAt <= until);
+}
+
+module.exports = {
+  countComments,
+  feedPageUrl,
+  inDateRange,
+  parseDateRange,
+  parseFeedPage,
+  resolveCategoryIds,
+  toComments,
+  toPost
+};
@@ -0,0 +1,323 @@
+const { CONTAINERS, HEADINGS, codeBlock, imageSource, isTag, parseEditorHtml, textOf } = require('./editor-html');
+
+// Builds a typed JSON tree from the lesson editor HTML, following ProseMirror's
+// JSON shape: every node has a `type`, optional `attrs` and `content`, and text
+// nodes carry their formatting as `marks`.
+//
+//   { type: 'doc', content: [
+//     { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'Intro' }] },
+//     { type: 'paragraph', content: [
+//       { type: 'text', text: 'See ' },
+//       { type: 'text', text: 'docs', marks: [{ type: 'link', attrs: { href: '...' } }] }
+//     ] },
+//     { type: 'image', attrs: { src: '...', alt: '...', title: null } }
+//   ] }
+
+const BLOCKS = new Set(['p', 'ul', 'ol', 'li', 'blockquote', 'pre', 'hr', 'table', 'iframe', 'video', 'figcaption', ...Object.keys(HEADINGS), ...CONTAINERS]);
+
+const MARKS = {
+  strong: 'bold',
+  b: 'bold',
+  em: 'italic',
+  i: 'italic',
+  u: 'underline',
+  s: 'strike',
+  del: 'strike',
+  strike: 'strike',
+  code: 'code',
+  mark: 'highlight'
+};
+
+function imageNode(node) {
+  const src = imageSource(node);
+  if (!src) {
+    return null;
+  }
+  return {
+    type: 'image',
+    attrs: {
+      src,
+      alt: node.attribs.alt || null,
+      title: node.attribs.title || null
+    }
+  };
+}
+
+function embedNode(node) {
+  const source = node.name === 'video'
+    ? node.attribs.src || ((node.children || []).find((child) => isTag(child, 'source')) || { attribs: {} }).attribs.src
+    : node.attribs.src;
+  return source ? { type: 'embed', attrs: { src: source, tag: node.name } } : null;
+}
+
+// Merge neighbouring text nodes with identical marks so the tree stays compact
+function normalizeInline(nodes) {
+  const merged = [];
+  nodes.forEach((node) => {
+    const previous = merged[merged.length - 1];
+    if (node.type === 'text' && previous && previous.type === 'text' &&
+        JSON.stringify(previous.marks || []) === JSON.stringify(node.marks || [])) {
+      previous.text += node.text;
+    } else {
+      merged.push(node);
+    }
+  });
+
+  // Trim whitespace at the edges of the block
+  if (merged.length && merged[0].type === 'text') {
+    merged[0].text = merged[0].text.replace(/^\s+/, '');
+  }
+  const last = merged[merged.length - 1];
+  if (last && last.type === 'text') {
+    last.text = last.text.replace(/\s+$/, '');
+  }
+
+  return merged.filter((node) => node.type !== 'text' || node.text);
+}
+
+function collectInline(nodes, marks = []) {
+  const result = [];
+
+  nodes.forEach((node) => {
+    if (node.type === 'text') {
+      const text = node.data.replace(/\s+/g, ' ');
+      if (text) {
+        result.push(marks.length ? { type: 'text', text, marks } : { type: 'text', text });
+      }
+      return;
+    }
+    if (node.type !== 'tag') {
+      return;
+    }
+
+    if (node.name === 'br') {
+      result.push({ type: 'hardBreak' });
+    } else if (node.name === 'img') {
+      const image = imageNode(node);
+      if (image) {
+        result.push(marks.length ? { ...image, marks } : image);
+      }
+    } else if (node.name === 'a') {
+      const href = node.attribs.href;
+      const linkMarks = href ? [...marks, { type: 'link', attrs: { href, target: node.attribs.target || null } }] : marks;
+      result.push(...collectInline(node.children, linkMarks));
+    } else if (node.name === 'code') {
+      const text = textOf(node);
+      if (text) {
+        result.push({ type: 'text', text, marks: [...marks, { type: 'code' }] });
+      }
+    } else if (MARKS[node.name]) {
+      result.push(...collectInline(node.children, [...marks, { type: MARKS[node.name] }]));
+    } else {
+      result.push(...collectInline(node.children || [], marks));
+    }
+  });
+
+  return result;
+}
+
+// Convert sibling nodes to block nodes; loose inline nodes become a paragraph
+function collectBlocks(nodes) {
+  const blocks = [];
+  let inlineRun = [];
+
+  const flushInline = () => {
+    const content = normalizeInline(collectInline(inlineRun));
+    if (content.length) {
+      blocks.push({ type: 'paragraph', content });
+    }
+    inlineRun = [];
+  };
+
+  nodes.forEach((node) => {
+    if (isTag(node) && BLOCKS.has(node.name)) {
+      flushInline();
+      blocks.push(...toBlocks(node));
+    } else {
+      inlineRun.push(node);
+    }
+  });
+  flushInline();
+
+  return blocks;
+}
+
+function toBlocks(node) {
+  if (HEADINGS[node.name]) {
+    const content = normalizeInline(collectInline(node.children));
+    return content.length ? [{ type: 'heading', attrs: { level: HEADINGS[node.name] }, content }] : [];
+  }
+
+  switch (node.name) {
+    case 'p':
+    case 'figcaption': {
+      const content = normalizeInline(collectInline(node.children));
+      // A paragraph holding only an image is emitted as a standalone image block
+      if (content.length === 1 && content[0].type === 'image') {
+        return content;
+      }
+      return content.length ? [{ type: 'paragraph', content }] : [];
+    }
+    case 'ul':
+    case 'ol': {
+      const items = node.children
+        .filter((child) => isTag(child, 'li'))
+        .map((item) => ({ type: 'listItem', content: collectBlocks(item.children) }));
+      if (node.name === 'ol') {
+        return [{ type: 'orderedList', attrs: { start: parseInt(node.attribs.start, 10) || 1 }, content: items }];
+      }
+      return [{ type: 'bulletList', content: items }];
+    }
+    case 'li':
+      return [{ type: 'listItem', content: collectBlocks(node.children) }];
+    case 'blockquote':
+      return [{ type: 'blockquote', content: collectBlocks(node.children) }];
+    case 'pre': {
+      const { language, code } = codeBlock(node);
+      return [{
+        type: 'codeBlock',
+        attrs: { language },
+        content: code ? [{ type: 'text', text: code }] : []
+      }];
+    }
+    case 'hr':
+      return [{ type: 'horizontalRule' }];
+    case 'table':
+      return [tableNode(node)];
+    case 'iframe':
+    case 'video': {
+      const embed = embedNode(node);
+      return embed ? [embed] : [];
+    }
+    default:
+      return collectBlocks(node.children || []);
+  }
+}
+
+function tableNode(node) {
+  const rows = [];
+  const collectRows = (parent) => {
+    parent.children.forEach((child) => {
+      if (isTag(child, 'tr')) {
+        rows.push({
+          type: 'tableRow',
+          content: child.children
+            .filter((cell) => isTag(cell, 'td', 'th'))
+            .map((cell) => ({
+              type: cell.name === 'th' ? 'tableHeader' : 'tableCell',
+              content: collectBlocks(cell.children)
+            }))
+        });
+      } else if (isTag(child, 'thead', 'tbody', 'tfoot')) {
+        collectRows(child);
+      }
+    });
+  };
+  collectRows(node);
+  return { type: 'table', content: rows };
+}
+
+function htmlToBlocks(html) {
+  if (!html) {
+    return { type: 'doc', content: [] };
+  }
+
+  return { type: 'doc', content: collectBlocks(parseEditorHtml(html)) };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Only web links and relative URLs survive rendering; javascript:, data: and
+// other schemes in lesson HTML must not become live links in exported pages
+function safeUrl(url) {
+  if (!url) {
+    return null;
+  }
+  // Browsers ignore whitespace and control characters inside the scheme
+  const scheme = String(url).replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+  return !scheme || /^https?$/i.test(scheme[1]) ? String(url).trim() : null;
+}
+
+const MARK_TAGS = {
+  bold: 'strong',
+  italic: 'em',
+  underline: 'u',
+  strike: 's',
+  code: 'code',
+  highlight: 'mark'
+};
+
+function renderMarks(html, marks = []) {
+  // Apply the innermost mark first so links wrap their formatted text
+  return [...marks].reverse().reduce((inner, mark) => {
+    if (mark.type === 'link') {
+      const href = safeUrl(mark.attrs.href);
+      return href ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner;
+    }
+    const tag = MARK_TAGS[mark.type];
+    return tag ? `<${tag}>${inner}</${tag}>` : inner;
+  }, html);
+}
+
+// Render a block tree from htmlToBlocks back to clean, standalone HTML
+function blocksToHtml(node) {
+  if (!node) {
+    return '';
+  }
+  const children = () => (node.content || []).map(blocksToHtml).join('');
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case 'doc':
+      return (node.content || []).map(blocksToHtml).join('\n');
+    case 'text':
+      return renderMarks(escapeHtml(node.text), node.marks);
+    case 'hardBreak':
+      return '<br>';
+    case 'paragraph':
+      return `<p>${children()}</p>`;
+    case 'heading':
+      return `<h${attrs.level}>${children()}</h${attrs.level}>`;
+    case 'bulletList':
+      return `<ul>${children()}</ul>`;
+    case 'orderedList':
+      return `<ol${attrs.start > 1 ? ` start="${attrs.start}"` : ''}>${children()}</ol>`;
+    case 'listItem':
+      return `<li>${children()}</li>`;
+    case 'blockquote':
+      return `<blockquote>${children()}</blockquote>`;
+    case 'codeBlock':
+      return `<pre><code${attrs.language ? ` class="language-${escapeHtml(attrs.language)}"` : ''}>${(node.content || []).map((text) => escapeHtml(text.text)).join('')}</code></pre>`;
+    case 'horizontalRule':
+      return '<hr>';
+    case 'image': {
+      const src = safeUrl(attrs.src);
+      if (!src) {
+        return attrs.alt ? renderMarks(escapeHtml(attrs.alt), node.marks) : '';
+      }
+      return renderMarks(`<img src="${escapeHtml(src)}" alt="${escapeHtml(attrs.alt || '')}"${attrs.title ? ` title="${escapeHtml(attrs.title)}"` : ''}>`, node.marks);
+    }
+    case 'embed': {
+      const src = safeUrl(attrs.src);
+      return src ? `<p class="embed"><a href="${escapeHtml(src)}">${escapeHtml(src)}</a></p>` : '';
+    }
+    case 'table':
+      return `<table>${children()}</table>`;
+    case 'tableRow':
+      return `<tr>${children()}</tr>`;
+    case 'tableHeader':
+      return `<th>${children()}</th>`;
+    case 'tableCell':
+      return `<td>${children()}</td>`;
+    default:
+      return children();
+  }
+}
+
+module.exports = { htmlToBlocks, blocksToHtml, escapeHtml, safeUrl };
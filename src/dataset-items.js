@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Dataset items. Every scraped module is pushed as one flat item as soon as it
+// is finished, all with the same fields (see dataset_schema.json).
+// `itemKey` identifies a module across runs and resumes:
+//
+//   <course ID or hash of the classroom URL>:<module ID>
+//
+// Items carry their position in the outline, so a course structure can be
+// rebuilt from a dataset to regenerate the exports.
+
+function shortHash(value) {
+  return crypto.createHash('sha1').update(String(value || '')).digest('hex').slice(0, 12);
+}
+
+function moduleItemKey(courseStructure, module) {
+  const course = courseStructure.courseId || shortHash(String(courseStructure.classroomUrl || '').split('?')[0]);
+  return `${course}:${module.Id || `untitled-${shortHash(module.breadcrumb || module.title)}`}`;
+}
+
+// The dataset item of the module at sections[sectionIndex].childrenCourses[moduleIndex]
+function moduleItem(courseStructure, sectionIndex, moduleIndex) {
+  const section = courseStructure.sections[sectionIndex];
+  const module = section.childrenCourses[moduleIndex];
+  return {
+    type: 'module',
+    itemKey: moduleItemKey(courseStructure, module),
+    groupSlug: courseStructure.groupSlug || null,
+    courseId: courseStructure.courseId || null,
+    classroomTitle: courseStructure.title || null,
+    classroomUrl: courseStructure.classroomUrl || null,
+    contentFormat: courseStructure.contentFormat || null,
+    courseTitle: section.courseTitle,
+    sectionIndex,
+    moduleIndex,
+    moduleTitle: module.title,
+    moduleId: module.Id,
+    parentId: module.parentId || null,
+    depth: module.depth ?? null,
+    order: module.order ?? null,
+    breadcrumb: module.breadcrumb || `${section.courseTitle} › ${module.title}`,
+    videoLink: module.videoLink || '',
+    video: module.video || null,
+    embeddedVideos: module.embeddedVideos || [],
+    resources: module.resources || [],
+    access: module.access || null,
+    transcript: module.transcript || null,
+    status: module.status || null,
+    content: module.content || '',
+    contentSource: module.contentSource || null,
+    error: module.error || null,
+    attempts: module.attempts || 0,
+    ...(module.changeStatus ? { changeStatus: module.changeStatus } : {}),
+    ...(module.blocks ? { blocks: module.blocks } : {}),
+    ...(module.assets ? { assets: module.assets } : {}),
+    scrapedAt: new Date().toISOString()
+  };
+}
+
+// Back from a dataset item to the module record of a course structure
+function moduleFromItem(item) {
+  return {
+    title: item.moduleTitle,
+    Id: item.moduleId,
+    videoLink: item.videoLink || null,
+    video: item.video || null,
+    embeddedVideos: item.embeddedVideos || [],
+    resources: item.resources || [],
+    access: item.access || null,
+    transcript: item.transcript || null,
+    parentId: item.parentId,
+    depth: item.depth,
+    order: item.order,
+    breadcrumb: item.breadcrumb,
+    status: item.status,
+    content: item.content,
+    contentSource: item.contentSource,
+    error: item.error,
+    attempts: item.attempts,
+    ...(item.changeStatus ? { changeStatus: item.changeStatus } : {}),
+    ...(item.blocks ? { blocks: item.blocks } : {}),
+    ...(item.assets ? { assets: item.assets } : {})
+  };
+}
+
+// Rebuild one course structure per classroom from module items, in outline order.
+// A module pushed twice (e.g. by an older run without item keys) counts once, the last one wins.
+function courseStructuresFromItems(items) {
+  const courses = new Map();
+  items.filter((item) => item.type === 'module').forEach((item) => {
+    const courseKey = item.classroomUrl || item.courseId;
+    if (!courses.has(courseKey)) {
+      courses.set(courseKey, {
+        title: item.classroomTitle,
+        groupSlug: item.groupSlug,
+        courseId: item.courseId,
+        classroomUrl: item.classroomUrl,
+        contentFormat: item.contentFormat || undefined,
+        items: new Map()
+      });
+    }
+    courses.get(courseKey).items.set(item.itemKey, item);
+  });
+
+  return Array.from(courses.values()).map(({ items: courseItems, ...course }) => {
+    const sections = new Map();
+    Array.from(courseItems.values())
+      .sort((a, b) => a.sectionIndex - b.sectionIndex || a.moduleIndex - b.moduleIndex)
+      .forEach((item) => {
+        if (!sections.has(item.sectionIndex)) {
+          sections.set(item.sectionIndex, { courseTitle: item.courseTitle, childrenCourses: [] });
+        }
+        sections.get(item.sectionIndex).childrenCourses.push(moduleFromItem(item));
+      });
+    return { ...course, sections: Array.from(sections.values()) };
+  });
+}
+
+module.exports = {
+  courseStructuresFromItems,
+  moduleItem,
+  moduleItemKey
+};
@@ -0,0 +1,49 @@
+const cheerio = require('cheerio');
+
+// DOM helpers shared by the converters of the lesson editor's HTML
+// (html-to-markdown.js and content-blocks.js), so both read the same nodes
+// the same way:
+//
+//   parseEditorHtml('<h2>Intro</h2><p>Run <code>npm test</code></p>')
+//   → the top-level nodes, without scripts, styles and ProseMirror's trailing breaks
+
+const HEADINGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+const CONTAINERS = new Set(['div', 'section', 'article', 'figure', 'body', 'main', 'header', 'footer', 'details']);
+
+function isTag(node, ...names) {
+  return node.type === 'tag' && (names.length === 0 || names.includes(node.name));
+}
+
+// Text of a node and its descendants. cheerio.load(node) would move the node
+// into a new document and make the caller's loop over its siblings skip one.
+function textOf(node) {
+  return node.type === 'text' ? node.data : (node.children || []).map(textOf).join('');
+}
+
+function imageSource(node) {
+  return node.attribs.src || node.attribs.originalsrc || '';
+}
+
+// Language and text of a <pre>, with or without a <code> inside
+function codeBlock(node) {
+  const codeNode = node.children.find((child) => isTag(child, 'code')) || node;
+  const languageClass = ((codeNode.attribs && codeNode.attribs.class) || '').match(/language-([\w-]+)/);
+  return { language: languageClass ? languageClass[1] : null, code: textOf(codeNode).replace(/\n$/, '') };
+}
+
+function parseEditorHtml(html) {
+  const $ = cheerio.load(html, null, false);
+  $('script, style, svg').remove();
+  $('br.ProseMirror-trailingBreak').remove();
+  return $.root()[0].children;
+}
+
+module.exports = {
+  CONTAINERS,
+  HEADINGS,
+  codeBlock,
+  imageSource,
+  isTag,
+  parseEditorHtml,
+  textOf
+};
@@ -0,0 +1,214 @@
+const JSZip = require('jszip');
+const MarkdownIt = require('markdown-it');
+const { blocksToHtml, escapeHtml, htmlToBlocks, safeUrl } = require('./content-blocks');
+const { formatFileSize } = require('./resources');
+
+// Turns a scraped course structure (sections → childrenCourses) into a small
+// static site: an index page with the outline, and one page per lesson with a
+// sidebar, the rendered lesson body, the video link and previous/next links.
+// It only needs the data the scraper already stores, so an archive can be
+// rebuilt from a saved dataset at any time.
+
+const STYLESHEET = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2328; line-height: 1.6; }
+a { color: #0b62d6; }
+.layout { display: flex; min-height: 100vh; }
+nav.sidebar { width: 300px; flex-shrink: 0; padding: 24px 16px; background: #f6f8fa; border-right: 1px solid #d0d7de; overflow-y: auto; }
+nav.sidebar h2 { font-size: 14px; text-transform: uppercase; color: #57606a; margin: 20px 0 6px; }
+nav.sidebar ul { list-style: none; margin: 0; padding: 0; }
+nav.sidebar li a { display: block; padding: 4px 8px; border-radius: 6px; text-decoration: none; color: inherit; font-size: 14px; }
+nav.sidebar li a.current { background: #dbe9fb; font-weight: 600; }
+main { flex: 1; max-width: 860px; padding: 32px 48px; }
+main img { max-width: 100%; height: auto; }
+pre { background: #f6f8fa; padding: 12px; overflow-x: auto; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #d0d7de; padding: 6px 10px; }
+blockquote { margin: 0; padding-left: 16px; border-left: 4px solid #d0d7de; color: #57606a; }
+.video { padding: 12px 16px; background: #fff8c5; border-radius: 6px; }
+.pager { display: flex; justify-content: space-between; margin-top: 48px; padding-top: 16px; border-top: 1px solid #d0d7de; }
+.empty { color: #57606a; font-style: italic; }
+.resources { margin-top: 32px; padding: 12px 16px; background: #f6f8fa; border-radius: 6px; }
+.resources h2 { font-size: 16px; margin: 0 0 8px; }
+.meta { color: #57606a; font-size: 13px; }
+`.trim();
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_-]+/g, '-')
+    .slice(0, 60) || 'lesson';
+}
+
+// Give every module a page file name, in reading order
+function collectLessons(courseStructure) {
+  const lessons = [];
+  courseStructure.sections.forEach((section) => {
+    section.childrenCourses.forEach((module) => {
+      const number = String(lessons.length + 1).padStart(3, '0');
+      lessons.push({ section, module, file: `lesson-${number}-${slugify(module.title)}.html` });
+    });
+  });
+  return lessons;
+}
+
+// Markdown is rendered by markdown-it with raw HTML turned off
+const markdown = new MarkdownIt({ html: false });
+
+// Paragraphs of plain text, with web links made clickable
+function renderTextContent(content) {
+  return content
+    .split(/\n{2,}/)
+    .map((paragraph) => {
+      const html = escapeHtml(paragraph.trim());
+      if (!html) {
+        return '';
+      }
+      return `<p>${html.replace(/(https?:\/\/[^\s<\]]+)/g, '<a href="$1">$1</a>').replace(/\n/g, '<br>')}</p>`;
+    })
+    .join('\n');
+}
+
+// Link to a URL that passes safeUrl(), or just its text
+function renderLink(url, text = url) {
+  const href = safeUrl(url);
+  return href ? `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+// Attached files and links; stored copies are preferred over expiring CDN links
+function renderResources(resources) {
+  if (!resources || resources.length === 0) {
+    return '';
+  }
+  const items = resources.map((resource) => {
+    const details = [resource.type, formatFileSize(resource.fileSize)].filter(Boolean).join(', ');
+    return `<li>${renderLink(resource.storedUrl || resource.url, resource.title)} <span class="meta">(${escapeHtml(details)})</span></li>`;
+  });
+  return `<section class="resources">\n<h2>Resources</h2>\n<ul>\n${items.join('\n')}\n</ul>\n</section>`;
+}
+
+function renderLessonBody(module, contentFormat) {
+  if (module.blocks) {
+    return blocksToHtml(module.blocks);
+  }
+  if (module.error) {
+    return `<p class="empty">This lesson could not be scraped (${escapeHtml(module.status)}: ${escapeHtml(module.error.message)}).</p>`;
+  }
+  if (!module.content) {
+    return '<p class="empty">No content was scraped for this lesson.</p>';
+  }
+  // HTML and Markdown go through the block tree, which keeps only known
+  // elements and safe URLs; raw lesson HTML is never copied into the page
+  if (contentFormat === 'html') {
+    return blocksToHtml(htmlToBlocks(module.content));
+  }
+  if (contentFormat === 'markdown') {
+    return blocksToHtml(htmlToBlocks(markdown.render(module.content)));
+  }
+  return renderTextContent(module.content);
+}
+
+// Folder path of a section below the course itself, e.g. "Module 1 › Week 2"
+function sectionLabel(section) {
+  return section.path && section.path.length > 1 ? section.path.slice(1).join(' › ') : section.courseTitle;
+}
+
+function renderSidebar(courseStructure, lessons, courseTitle, currentFile) {
+  let lessonIndex = 0;
+  const sections = courseStructure.sections.map((section) => {
+    const items = section.childrenCourses.map(() => {
+      const lesson = lessons[lessonIndex++];
+      const current = lesson.file === currentFile ? ' class="current"' : '';
+      return `<li><a href="${lesson.file}"${current}>${escapeHtml(lesson.module.title)}</a></li>`;
+    });
+    return `<h2>${escapeHtml(sectionLabel(section))}</h2>\n<ul>\n${items.join('\n')}\n</ul>`;
+  });
+
+  return `<nav class="sidebar">\n<a href="index.html"><strong>${escapeHtml(courseTitle)}</strong></a>\n${sections.join('\n')}\n</nav>`;
+}
+
+function renderPage(title, sidebar, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<div class="layout">
+${sidebar}
+<main>
+${body}
+</main>
+</div>
+</body>
+</html>
+`;
+}
+
+// Build the archive as a map of file name → file content
+function buildArchiveFiles(courseStructure, { title, classroomUrl, contentFormat = 'text', generatedAt = new Date().toISOString() } = {}) {
+  const courseTitle = title || courseStructure.title || 'Classroom';
+  const lessons = collectLessons(courseStructure);
+  const files = { 'style.css': STYLESHEET };
+
+  const outline = courseStructure.sections.map((section) => {
+    const items = lessons
+      .filter((lesson) => lesson.section === section)
+      .map((lesson) => `<li><a href="${lesson.file}">${escapeHtml(lesson.module.title)}</a>${lesson.module.videoLink ? ' 🎬' : ''}${(lesson.module.resources || []).length > 0 ? ' 📎' : ''}</li>`);
+    return `<h2>${escapeHtml(sectionLabel(section))}</h2>\n<ol>\n${items.join('\n')}\n</ol>`;
+  });
+
+  files['index.html'] = renderPage(
+    courseTitle,
+    renderSidebar(courseStructure, lessons, courseTitle, null),
+    [
+      `<h1>${escapeHtml(courseTitle)}</h1>`,
+      `<p>${courseStructure.sections.length} sections, ${lessons.length} lessons. Archived ${escapeHtml(generatedAt)}${classroomUrl ? ` from ${renderLink(classroomUrl)}` : ''}.</p>`,
+      ...outline
+    ].join('\n')
+  );
+
+  lessons.forEach((lesson, index) => {
+    const { module, section } = lesson;
+    const previous = lessons[index - 1];
+    const next = lessons[index + 1];
+
+    const body = [
+      `<p><a href="index.html">${escapeHtml(courseTitle)}</a>${section.path && section.path.length === 1 ? '' : ` › ${escapeHtml(sectionLabel(section))}`}</p>`,
+      `<h1>${escapeHtml(module.title)}</h1>`,
+      module.videoLink ? `<p class="video">🎬 Video: ${renderLink(module.videoLink)}</p>` : '',
+      renderLessonBody(module, contentFormat),
+      renderResources(module.resources),
+      '<div class="pager">',
+      previous ? `<a href="${previous.file}">← ${escapeHtml(previous.module.title)}</a>` : '<span></span>',
+      next ? `<a href="${next.file}">${escapeHtml(next.module.title)} →</a>` : '<span></span>',
+      '</div>'
+    ].filter(Boolean).join('\n');
+
+    files[lesson.file] = renderPage(`${module.title} – ${courseTitle}`, renderSidebar(courseStructure, lessons, courseTitle, lesson.file), body);
+  });
+
+  return files;
+}
+
+// Zip the archive files into a single folder named after the course
+async function buildHtmlArchive(courseStructure, options = {}) {
+  const files = buildArchiveFiles(courseStructure, options);
+  const folder = slugify(options.title || courseStructure.title || 'classroom');
+
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => {
+    zip.file(`${folder}/${name}`, content);
+  });
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { buffer, files: Object.keys(files) };
+}
+
+module.exports = { buildArchiveFiles, buildHtmlArchive, slugify };
@@ -0,0 +1,220 @@
+const { CONTAINERS, HEADINGS, codeBlock, imageSource, isTag, parseEditorHtml, textOf } = require('./editor-html');
+
+// Converts the HTML of Skool's TipTap/ProseMirror lesson editor into Markdown,
+// keeping headings, nested lists, blockquotes, code blocks, tables, inline
+// formatting and inline images/links where they appear in the text.
+
+const BLOCKS = new Set(['p', 'ul', 'ol', 'blockquote', 'pre', 'hr', 'table', 'iframe', 'figcaption', ...Object.keys(HEADINGS), ...CONTAINERS]);
+
+function escapeText(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+// Text at the start of a line that Markdown would read as a heading, quote,
+// list item or setext underline: "# x", "> x", "- x", "1. x", "---"
+function escapeLineStart(text) {
+  return text.split('\n').map((line) => line
+    .replace(/^(\s*)(>|#(?=#{0,5}(\s|$))|[-+](?=\s|$)|(?=[-=]+\s*$))/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2')).join('\n');
+}
+
+// Inline code fenced by more backticks than it contains in a row
+function codeSpan(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = /^`|`$/.test(code) ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+// Link and image targets with spaces, parentheses or angle brackets go in <…>
+function linkDestination(url) {
+  return /[\s()<>]/.test(url) ? `<${url.replace(/</g, '%3C').replace(/>/g, '%3E')}>` : url;
+}
+
+// Wrap inline content in a marker like ** without swallowing surrounding spaces
+function wrap(content, marker) {
+  if (!content.trim()) {
+    return content;
+  }
+  const leading = content.match(/^\s*/)[0];
+  const trailing = content.match(/\s*$/)[0];
+  return `${leading}${marker}${content.trim()}${marker}${trailing}`;
+}
+
+function renderInline(nodes) {
+  return nodes.map(renderInlineNode).join('');
+}
+
+function renderInlineNode(node) {
+  if (node.type === 'text') {
+    return escapeText(node.data.replace(/\s+/g, ' '));
+  }
+  if (node.type !== 'tag') {
+    return '';
+  }
+
+  switch (node.name) {
+    case 'strong':
+    case 'b':
+      return wrap(renderInline(node.children), '**');
+    case 'em':
+    case 'i':
+      return wrap(renderInline(node.children), '*');
+    case 's':
+    case 'del':
+    case 'strike':
+      return wrap(renderInline(node.children), '~~');
+    case 'code':
+      return codeSpan(textOf(node));
+    case 'br':
+      return '  \n';
+    case 'a': {
+      const href = node.attribs.href;
+      const text = renderInline(node.children).trim();
+      if (!href) {
+        return text;
+      }
+      if (text) {
+        return `[${text}](${linkDestination(href)})`;
+      }
+      return linkDestination(href) === href ? `<${href}>` : `[${escapeText(href)}](${linkDestination(href)})`;
+    }
+    case 'img': {
+      const src = imageSource(node);
+      const alt = node.attribs.alt || node.attribs.title || '';
+      return src ? `![${escapeText(alt)}](${linkDestination(src)})` : '';
+    }
+    case 'iframe':
+      return node.attribs.src ? `[Embedded content](${linkDestination(node.attribs.src)})` : '';
+    default:
+      return renderInline(node.children || []);
+  }
+}
+
+// Render a list of sibling nodes as Markdown blocks, grouping loose inline
+// nodes (text, links, images outside a <p>) into their own paragraph
+function renderBlocks(nodes, separator = '\n\n') {
+  const blocks = [];
+  let inlineRun = [];
+
+  const flushInline = () => {
+    const text = escapeLineStart(renderInline(inlineRun).trim());
+    if (text) {
+      blocks.push(text);
+    }
+    inlineRun = [];
+  };
+
+  nodes.forEach((node) => {
+    if (isTag(node) && BLOCKS.has(node.name)) {
+      flushInline();
+      const block = renderBlock(node);
+      if (block && block.trim()) {
+        blocks.push(block);
+      }
+    } else {
+      inlineRun.push(node);
+    }
+  });
+  flushInline();
+
+  return blocks.join(separator);
+}
+
+function renderBlock(node) {
+  if (HEADINGS[node.name]) {
+    const text = renderInline(node.children).trim();
+    return text ? `${'#'.repeat(HEADINGS[node.name])} ${text}` : '';
+  }
+
+  switch (node.name) {
+    case 'p':
+    case 'figcaption':
+      return escapeLineStart(renderInline(node.children).trim());
+    case 'ul':
+    case 'ol':
+      return renderList(node);
+    case 'blockquote':
+      return renderBlocks(node.children)
+        .split('\n')
+        .map((line) => (line ? `> ${line}` : '>'))
+        .join('\n');
+    case 'pre':
+      return renderCodeBlock(node);
+    case 'hr':
+      return '---';
+    case 'table':
+      return renderTable(node);
+    case 'iframe':
+      return renderInlineNode(node);
+    default:
+      return renderBlocks(node.children || []);
+  }
+}
+
+function renderList(node) {
+  const ordered = node.name === 'ol';
+  let index = parseInt(node.attribs.start, 10) || 1;
+
+  return node.children
+    .filter((child) => isTag(child, 'li'))
+    .map((item) => {
+      const marker = ordered ? `${index++}. ` : '- ';
+      const indent = ' '.repeat(marker.length);
+      // Items are kept tight: paragraphs and nested lists follow on the next line
+      const lines = renderBlocks(item.children, '\n').split('\n');
+      return lines
+        .map((line, i) => (i === 0 ? `${marker}${line}` : line ? `${indent}${line}` : ''))
+        .join('\n');
+    })
+    .join('\n');
+}
+
+function renderCodeBlock(node) {
+  const { language, code } = codeBlock(node);
+  const longestRun = Math.max(0, ...(code.match(/`{3,}/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(Math.max(longestRun + 1, 3));
+  return `${fence}${language || ''}\n${code}\n${fence}`;
+}
+
+function renderTable(node) {
+  const rows = [];
+  const collectRows = (parent) => {
+    parent.children.forEach((child) => {
+      if (isTag(child, 'tr')) {
+        rows.push(child);
+      } else if (isTag(child, 'thead', 'tbody', 'tfoot')) {
+        collectRows(child);
+      }
+    });
+  };
+  collectRows(node);
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const cells = rows.map((row) => row.children
+    .filter((cell) => isTag(cell, 'td', 'th'))
+    .map((cell) => renderBlocks(cell.children, '\n').replace(/\n+/g, '<br>').replace(/\|/g, '\\|')));
+  const columnCount = Math.max(...cells.map((row) => row.length));
+  const toLine = (row) => `| ${Array.from({ length: columnCount }, (_, i) => row[i] || '').join(' | ')} |`;
+
+  return [
+    toLine(cells[0]),
+    `| ${Array(columnCount).fill('---').join(' | ')} |`,
+    ...cells.slice(1).map(toLine)
+  ].join('\n');
+}
+
+function htmlToMarkdown(html) {
+  if (!html) {
+    return '';
+  }
+
+  return renderBlocks(parseEditorHtml(html))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { htmlToMarkdown };
@@ -0,0 +1,111 @@
+const { blocksToHtml, escapeHtml } = require('./content-blocks');
+
+// Finds a lesson's body. The module's own JSON in the page's __NEXT_DATA__ is
+// tried first, since it doesn't depend on Skool's markup; the DOM selectors
+// below are the fallback, tried in order. Skool stores bodies either as HTML,
+// as TipTap/ProseMirror JSON (often as a string prefixed with "[v2]") or as
+// plain text.
+
+// Fields of a module's JSON that can hold its body, in order of preference
+const BODY_FIELDS = ['metadata.desc', 'metadata.content', 'metadata.body', 'desc', 'content', 'body', 'description'];
+
+// Default DOM fallback chain. Styled-components classes are matched by their
+// stable prefix, because the hashed suffix changes with every Skool release.
+const DEFAULT_CONTENT_SELECTORS = [
+  '.tiptap.ProseMirror.skool-editor2',
+  '.ProseMirror',
+  '[class*="EditorContentWrapper"]',
+  '[class*="RichTextEditorWrapper"]',
+  '[class*="ModuleBody"]',
+  '[data-testid*="content"]'
+];
+
+// Don't walk arbitrarily deep into the page payload looking for the module
+const MAX_SEARCH_DEPTH = 12;
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+// Find the JSON object of a module (an object whose id is the module ID) anywhere in the page props
+function findModuleJson(nextData, moduleId) {
+  const root = nextData && nextData.props && nextData.props.pageProps;
+  if (!root || !moduleId) {
+    return null;
+  }
+
+  const stack = [{ value: root, depth: 0 }];
+  while (stack.length > 0) {
+    const { value, depth } = stack.pop();
+    if (!value || typeof value !== 'object' || depth > MAX_SEARCH_DEPTH) {
+      continue;
+    }
+    if (value.id === moduleId) {
+      return value;
+    }
+    Object.values(value).forEach((child) => stack.push({ value: child, depth: depth + 1 }));
+  }
+  return null;
+}
+
+// Some text, or at least an image or embed, once the tags are stripped
+function hasContent(html) {
+  return Boolean(html.replace(/<[^>]*>/g, '').trim()) || /<(img|iframe|video)\b/i.test(html);
+}
+
+function isBlockJson(value) {
+  return Boolean(value) && typeof value === 'object' && (Array.isArray(value) || typeof value.type === 'string');
+}
+
+// Render a body field to HTML, whatever form it was stored in
+function bodyToHtml(value) {
+  if (isBlockJson(value)) {
+    return blocksToHtml(Array.isArray(value) ? { type: 'doc', content: value } : value);
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const text = value.trim().replace(/^\[v\d+\]/, '');
+  if (text.startsWith('[') || text.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (isBlockJson(parsed)) {
+        return bodyToHtml(parsed);
+      }
+    } catch (error) {
+      // Not JSON after all, treat it as text
+    }
+  }
+
+  if (/<[a-z][\s\S]*>/i.test(text)) {
+    return text;
+  }
+  return text
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+// A module's body from the page's __NEXT_DATA__, as { html, field }, or null when the payload has none
+function lessonBodyFromNextData(nextData, moduleId) {
+  const moduleJson = findModuleJson(nextData, moduleId);
+  if (!moduleJson) {
+    return null;
+  }
+
+  for (const field of BODY_FIELDS) {
+    const html = bodyToHtml(getPath(moduleJson, field));
+    if (html && hasContent(html)) {
+      return { html, field };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CONTENT_SELECTORS,
+  bodyToHtml,
+  findModuleJson,
+  lessonBodyFromNextData
+};
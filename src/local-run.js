@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { parseArgs } = require('util');
+
+// Running the scraper outside the Apify platform:
+//
+//   SKOOL_EMAIL=me@example.com skool-scraper --classroom <url> --out ./dir
+//
+// Apify storage goes to <out>/storage as in any local run, and when the run is
+// done its results are copied to <out> as plain files:
+//
+//   items.jsonl                       every dataset item, one per line
+//   course_structure_….xlsx, …        the exports, under their key-value store keys
+//   RUN_SUMMARY.json, OUTLINE-….json  the other records, as JSON
+//   assets/asset-…                    downloaded lesson images and files
+//
+// The saved login and the run's progress stay in the storage only, in the
+// skool-sessions and skool-state named stores. Every run starts with empty
+// default storages, but named stores are kept, so running the same command
+// again resumes an interrupted run and reuses the login.
+
+const USAGE = `Usage: skool-scraper --classroom <url> [options]
+
+Options:
+  --classroom <url>        Classroom to scrape; repeat for several classrooms
+  --community <url>        Scrape the community feed instead of classrooms
+  --out <dir>              Output directory (default: ./skool-output)
+  --format <list>          Extra exports: xlsx, html, chunks (comma separated or repeated)
+  --content-format <name>  text, markdown or html (default: text)
+  --input <file>           JSON file with any other input fields (see INPUT_SCHEMA.json)
+  -h, --help               Show this help
+
+Credentials come from SKOOL_EMAIL and SKOOL_PASSWORD, or SKOOL_SESSION_COOKIES.
+Missing ones are asked for when running in a terminal.`;
+
+const OPTIONS = {
+  classroom: { type: 'string', multiple: true },
+  community: { type: 'string' },
+  out: { type: 'string', default: './skool-output' },
+  format: { type: 'string', multiple: true },
+  'content-format': { type: 'string' },
+  input: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Key-value records that hold run state or the login, never copied to the output
+const INTERNAL_KEYS = /^(INPUT|SCRAPER_SESSION|SCRAPER_STATE-|CLASSROOM_STATE-)/;
+
+function parseCliArgs(argv) {
+  return parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }).values;
+}
+
+// Actor input from the arguments, the --input file and the environment; arguments win over the file
+function inputFromArgs(args, env = process.env) {
+  const input = args.input ? JSON.parse(fs.readFileSync(args.input, 'utf8')) : {};
+  const classrooms = args.classroom || [];
+  const formats = (args.format || []).flatMap((value) => value.split(',')).map((value) => value.trim()).filter(Boolean);
+
+  if (classrooms.length === 1) {
+    input.classroomUrl = classrooms[0];
+  } else if (classrooms.length > 1) {
+    input.classroomUrls = classrooms;
+  }
+  if (args.community) {
+    input.mode = 'community';
+    input.communityUrl = args.community;
+  }
+  if (formats.length > 0) {
+    input.outputFormats = formats;
+  }
+  if (args['content-format']) {
+    input.contentFormat = args['content-format'];
+  }
+
+  input.email = input.email || env.SKOOL_EMAIL || undefined;
+  input.password = input.password || env.SKOOL_PASSWORD || undefined;
+  input.sessionCookies = input.sessionCookies || env.SKOOL_SESSION_COOKIES || undefined;
+  return input;
+}
+
+// Ask a question on the terminal; hidden answers (passwords) are not echoed
+function ask(question, { hidden = false, stdin = process.stdin, stdout = process.stdout } = {}) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        stdout.write(chunk, encoding);
+      }
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: stdin, output, terminal: true });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      if (hidden) {
+        stdout.write('\n');
+      }
+      resolve(answer.trim());
+    });
+    muted = hidden;
+  });
+}
+
+// Where a local run keeps its Apify storage, unless CRAWLEE_STORAGE_DIR says otherwise
+function localStorageDir(outDir, env = process.env) {
+  return env.CRAWLEE_STORAGE_DIR || path.join(outDir, 'storage');
+}
+
+// Prompt for missing credentials when a terminal is attached. Without one the
+// input is returned as-is and the scraper reports what is missing.
+async function promptCredentials(input, { stdin = process.stdin, stdout = process.stdout } = {}) {
+  const needsLogin = !input.sourceDatasetId && !input.sessionCookies;
+  if (!needsLogin || (input.email && input.password) || !stdin.isTTY) {
+    return input;
+  }
+  const email = input.email || await ask('Skool email: ', { stdin, stdout });
+  const password = input.password || await ask('Skool password: ', { hidden: true, stdin, stdout });
+  return { ...input, email, password };
+}
+
+// Copy the run's dataset items and key-value records from the Apify storage to plain files in outDir
+async function writeLocalOutput(outDir, { dataset, store }) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const lines = [];
+  await dataset.forEach(async (item) => {
+    lines.push(JSON.stringify(item));
+  });
+  fs.writeFileSync(path.join(outDir, 'items.jsonl'), lines.join('\n') + (lines.length > 0 ? '\n' : ''));
+
+  const files = [];
+  await store.forEachKey(async (key) => {
+    if (INTERNAL_KEYS.test(key)) {
+      return;
+    }
+    const value = await store.getValue(key);
+    const isRecord = !Buffer.isBuffer(value) && typeof value !== 'string';
+    const file = path.join(key.startsWith('asset-') ? 'assets' : '', isRecord ? `${key}.json` : key);
+
+    fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(outDir, file), isRecord ? JSON.stringify(value, null, 2) : value);
+    files.push(file);
+  });
+
+  return { items: lines.length, files };
+}
+
+module.exports = {
+  USAGE,
+  inputFromArgs,
+  localStorageDir,
+  parseCliArgs,
+  promptCredentials,
+  writeLocalOutput
+};
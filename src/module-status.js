@@ -0,0 +1,88 @@
+// Outcome of scraping one module. Every module carries a status; failures also
+// carry an error object instead of placeholder text in `content`:
+//
+//   { status: 'timeout', content: '', attempts: 2,
+//     error: { message: 'Navigation timeout of 50000 ms exceeded', name: 'TimeoutError', retryable: true } }
+
+const MODULE_STATUS = {
+  OK: 'ok',
+  EMPTY: 'empty',
+  TIMEOUT: 'timeout',
+  LOCKED: 'locked',
+  AUTH_LOST: 'auth_lost',
+  NAVIGATION_ERROR: 'navigation_error',
+  EXTRACTION_ERROR: 'extraction_error'
+};
+
+// Failures worth another attempt: the same page usually loads fine a bit later
+// (or, for auth_lost, after logging in again)
+const TRANSIENT_STATUSES = new Set([
+  MODULE_STATUS.TIMEOUT,
+  MODULE_STATUS.AUTH_LOST,
+  MODULE_STATUS.NAVIGATION_ERROR,
+  MODULE_STATUS.EXTRACTION_ERROR
+]);
+
+class ModuleError extends Error {
+  constructor(status, message, { retryable = TRANSIENT_STATUSES.has(status), httpStatus = null } = {}) {
+    super(message);
+    this.name = 'ModuleError';
+    this.status = status;
+    this.retryable = retryable;
+    this.httpStatus = httpStatus;
+  }
+}
+
+// Turn an error thrown while scraping a module into its status and error object
+function classifyError(error) {
+  let status;
+  if (error instanceof ModuleError) {
+    status = error.status;
+  } else if (error.name === 'TimeoutError' || /timeout/i.test(error.message)) {
+    status = MODULE_STATUS.TIMEOUT;
+  } else if (/net::ERR_|navigat|rate limited/i.test(error.message)) {
+    status = MODULE_STATUS.NAVIGATION_ERROR;
+  } else {
+    status = MODULE_STATUS.EXTRACTION_ERROR;
+  }
+
+  return {
+    status,
+    error: {
+      message: error.message,
+      name: error.name,
+      retryable: error instanceof ModuleError ? error.retryable : TRANSIENT_STATUSES.has(status),
+      ...(error.httpStatus ? { httpStatus: error.httpStatus } : {})
+    }
+  };
+}
+
+// Status of a dataset item; items saved before statuses existed only have content
+function moduleStatus(item) {
+  if (item.status) {
+    return item.status;
+  }
+  return item.content && item.content !== 'No content scraped' ? MODULE_STATUS.OK : MODULE_STATUS.EMPTY;
+}
+
+function isFailure(status) {
+  return Boolean(status) && status !== MODULE_STATUS.OK && status !== MODULE_STATUS.EMPTY;
+}
+
+// Number of items per status, e.g. { ok: 40, empty: 2, timeout: 1 }
+function countStatuses(items) {
+  return items.reduce((counts, item) => {
+    const status = moduleStatus(item);
+    counts[status] = (counts[status] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+module.exports = {
+  MODULE_STATUS,
+  ModuleError,
+  classifyError,
+  countStatuses,
+  isFailure,
+  moduleStatus
+};
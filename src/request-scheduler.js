@@ -0,0 +1,71 @@
+// Paces page navigations across all worker tabs. Every request waits until at
+// least `minDelay` ms (plus random jitter) have passed since the previous one,
+// and the gap grows exponentially while Skool is throttling us, shrinking back
+// step by step once requests succeed again.
+
+// Base of the backoff when the minimum delay is smaller, so a throttled run pauses even with no delay set
+const MIN_BACKOFF_BASE = 1000;
+
+class RequestScheduler {
+  constructor({ minDelay = 2000, jitter = 0.3, maxBackoffFactor = 32, recoveryFactor = 0.75 } = {}) {
+    this.minDelay = minDelay;
+    this.jitter = jitter;
+    this.maxBackoffFactor = maxBackoffFactor;
+    this.recoveryFactor = recoveryFactor;
+    this.backoffFactor = 1;
+    this.nextSlot = 0; // Earliest timestamp the next request may start at
+  }
+
+  // Current gap between requests, including any backoff
+  currentDelay() {
+    if (this.backoffFactor <= 1) {
+      return this.minDelay;
+    }
+    return Math.round(Math.max(this.minDelay, MIN_BACKOFF_BASE) * this.backoffFactor);
+  }
+
+  // Wait for our turn. Slots are reserved before waiting, so concurrent
+  // callers queue up one gap apart instead of all firing together.
+  async waitForSlot() {
+    const now = Date.now();
+    const gap = this.currentDelay();
+    const jitterMs = Math.round(gap * this.jitter * Math.random());
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + gap + jitterMs;
+
+    if (slot > now) {
+      await new Promise((resolve) => setTimeout(resolve, slot - now));
+    }
+  }
+
+  // Double the gap and hold off further requests until the backoff has passed
+  reportThrottled(retryAfterMs = 0) {
+    this.backoffFactor = Math.min(this.backoffFactor * 2, this.maxBackoffFactor);
+    const pause = Math.max(this.currentDelay(), retryAfterMs || 0);
+    this.nextSlot = Math.max(this.nextSlot, Date.now() + pause);
+  }
+
+  // Recover gradually: each successful request shrinks the backoff a little
+  reportSuccess() {
+    if (this.backoffFactor > 1) {
+      this.backoffFactor = Math.max(this.backoffFactor * this.recoveryFactor, 1);
+    }
+  }
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) {
+    return 0;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
+
+module.exports = { RequestScheduler, parseRetryAfter };
@@ -0,0 +1,129 @@
+const { FILE_EXTENSION } = require('./asset-downloader');
+
+// Lesson resources: the files and links attached to a module, from its
+// metadata and from the "Resources" panel rendered next to the lesson.
+// Every resource has the same shape, wherever it came from:
+//
+//   { title: 'Workbook', url: 'https://…/workbook.pdf', type: 'file', fileSize: 482133, source: 'metadata' }
+
+// Metadata fields that can hold a module's resources, as an array or a JSON string
+const RESOURCE_FIELDS = ['resources', 'attachments', 'files', 'links'];
+
+// Links inside the resource panel rendered next to the lesson body
+const RESOURCE_PANEL_LINKS = '[class*="Resource"] a[href], [class*="Attachment"] a[href], [data-testid*="resource"] a[href]';
+
+const FILE_SIZE_TEXT = /\d+(?:[.,]\d+)?\s*(?:KB|MB|GB)\b/i;
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// "2.4 MB" → 2516582; numbers are taken as bytes
+function parseFileSize(value) {
+  if (typeof value === 'number') {
+    return value > 0 ? Math.round(value) : null;
+  }
+  const match = String(value || '').trim().match(/^([\d.,]+)\s*(b|kb|mb|gb)?$/i);
+  if (!match) {
+    return null;
+  }
+  const number = parseFloat(match[1].replace(',', '.'));
+  return Number.isFinite(number) && number > 0 ? Math.round(number * SIZE_UNITS[(match[2] || 'b').toLowerCase()]) : null;
+}
+
+// 2516582 → "2.4 MB", for exports
+function formatFileSize(bytes) {
+  if (!bytes) {
+    return '';
+  }
+  const [unit, factor] = Object.entries(SIZE_UNITS).reverse().find(([, size]) => bytes >= size) || ['b', 1];
+  const value = bytes / factor;
+  return `${unit === 'b' ? value : value.toFixed(1)} ${unit.toUpperCase()}`;
+}
+
+function resourceType(url, isFile) {
+  if (isFile) {
+    return 'file';
+  }
+  try {
+    return FILE_EXTENSION.test(new URL(url).pathname) ? 'file' : 'link';
+  } catch (error) {
+    return 'link';
+  }
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return [];
+}
+
+// Normalize one resource entry; Skool and older exports use different field names
+function toResource(item, source) {
+  if (!item || typeof item !== 'object') {
+    return null;
+  }
+  const url = item.link || item.url || item.href || item.file_url || item.fileUrl || null;
+  if (!url) {
+    return null;
+  }
+  const isFile = Boolean(item.file_id || item.fileId || item.file_name || item.fileName || item.type === 'file');
+  return {
+    title: String(item.title || item.name || item.file_name || item.fileName || url).trim(),
+    url,
+    type: resourceType(url, isFile),
+    fileSize: parseFileSize(item.file_size ?? item.fileSize ?? item.size),
+    source
+  };
+}
+
+// Resources listed in a module's metadata
+function resourcesFromMetadata(metadata = {}) {
+  return RESOURCE_FIELDS
+    .flatMap((field) => parseList(metadata[field]))
+    .map((item) => toResource(item, 'metadata'))
+    .filter(Boolean);
+}
+
+// Resources read from the page's resource panel, as { title, url, size } links.
+// Panels often print the size inside the link ("Workbook.pdf 2.4 MB").
+function resourcesFromPanel(links = []) {
+  return links
+    .map((link) => {
+      const sizeText = link.size || (String(link.title || '').match(FILE_SIZE_TEXT) || [])[0];
+      const title = String(link.title || '').replace(FILE_SIZE_TEXT, '').replace(/[\s·•|()-]+$/, '').trim();
+      return toResource({ title: title || null, url: link.url, size: sizeText }, 'panel');
+    })
+    .filter(Boolean);
+}
+
+// Merge resource lists, keeping the first entry per URL (query strings ignored,
+// signed links change on every page load) and filling in missing sizes
+function mergeResources(...lists) {
+  const merged = new Map();
+  lists.flat().filter(Boolean).forEach((resource) => {
+    const key = resource.url.split('?')[0];
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...resource });
+    } else if (!existing.fileSize && resource.fileSize) {
+      existing.fileSize = resource.fileSize;
+    }
+  });
+  return Array.from(merged.values());
+}
+
+module.exports = {
+  RESOURCE_PANEL_LINKS,
+  formatFileSize,
+  mergeResources,
+  parseFileSize,
+  resourcesFromMetadata,
+  resourcesFromPanel
+};
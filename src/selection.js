@@ -0,0 +1,103 @@
+// Picks the modules of a course to scrape. Sections are matched by the titles
+// of the folders a module sits in, modules by their own title; patterns are
+// case-insensitive regular expressions. A module is kept when it matches the
+// include filters (if any), none of the exclude filters, and fits under
+// maxModules in outline order:
+//
+//   { includeSections: ['^Week [1-3]'], excludeModules: ['bonus'], moduleIds: [], maxModules: 20 }
+
+function compilePatterns(patterns, name) {
+  return (patterns || []).filter(Boolean).map((pattern) => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid ${name} pattern "${pattern}": ${error.message}`);
+    }
+  });
+}
+
+// Validate the filter inputs once, before logging in
+function createSelection(options = {}) {
+  const maxModules = parseInt(options.maxModules, 10);
+  const selection = {
+    includeSections: compilePatterns(options.includeSections, 'includeSections'),
+    excludeSections: compilePatterns(options.excludeSections, 'excludeSections'),
+    includeModules: compilePatterns(options.includeModules, 'includeModules'),
+    excludeModules: compilePatterns(options.excludeModules, 'excludeModules'),
+    moduleIds: new Set((options.moduleIds || []).map((id) => String(id).trim()).filter(Boolean)),
+    maxModules: maxModules > 0 ? maxModules : null
+  };
+  selection.active = Boolean(
+    selection.includeSections.length || selection.excludeSections.length ||
+    selection.includeModules.length || selection.excludeModules.length ||
+    selection.moduleIds.size || selection.maxModules
+  );
+  return selection;
+}
+
+// Folder titles above a module; lessons directly under the course only have their section's title
+function folderTitles(section, module) {
+  const folders = (module.path || []).slice(1, -1);
+  return folders.length > 0 ? folders : [section.courseTitle];
+}
+
+function isSelected(section, module, selection) {
+  const folders = folderTitles(section, module);
+  const matchesFolder = (pattern) => folders.some((title) => pattern.test(title));
+
+  if (selection.includeSections.length && !selection.includeSections.some(matchesFolder)) {
+    return false;
+  }
+  if (selection.excludeSections.some(matchesFolder)) {
+    return false;
+  }
+
+  // Module patterns and IDs both name modules to keep; either one is enough
+  const wantsModules = selection.includeModules.length > 0 || selection.moduleIds.size > 0;
+  const named = selection.includeModules.some((pattern) => pattern.test(module.title)) || selection.moduleIds.has(module.Id);
+  if (wantsModules && !named) {
+    return false;
+  }
+  return !selection.excludeModules.some((pattern) => pattern.test(module.title));
+}
+
+// Sections holding only the selected modules (empty sections dropped), and the IDs of the modules left out
+function selectModules(sections, selection) {
+  const skippedIds = [];
+  let kept = 0;
+
+  const selectedSections = sections
+    .map((section) => ({
+      ...section,
+      childrenCourses: section.childrenCourses.filter((module) => {
+        const selected = isSelected(section, module, selection) && (!selection.maxModules || kept < selection.maxModules);
+        if (selected) {
+          kept++;
+        } else if (module.Id) {
+          skippedIds.push(module.Id);
+        }
+        return selected;
+      })
+    }))
+    .filter((section) => section.childrenCourses.length > 0);
+
+  return { sections: selectedSections, selectedModules: kept, skippedIds };
+}
+
+// The filters as plain data, for the output
+function describeSelection(selection) {
+  return {
+    includeSections: selection.includeSections.map((pattern) => pattern.source),
+    excludeSections: selection.excludeSections.map((pattern) => pattern.source),
+    includeModules: selection.includeModules.map((pattern) => pattern.source),
+    excludeModules: selection.excludeModules.map((pattern) => pattern.source),
+    moduleIds: Array.from(selection.moduleIds),
+    maxModules: selection.maxModules
+  };
+}
+
+module.exports = {
+  createSelection,
+  describeSelection,
+  selectModules
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Normalizes the sessionCookies input into Puppeteer cookie objects. Accepts
+// what people usually have at hand after logging in with SSO or Google:
+//   - a Cookie header string: "auth_token=abc; client_id=xyz"
+//   - a JSON array exported by a browser extension (EditThisCookie, Cookie-Editor)
+//   - an object of name → value pairs
+
+const DEFAULT_DOMAIN = '.skool.com';
+
+// Browser extensions use their own names for sameSite; Chrome only accepts these
+const SAME_SITE = { lax: 'Lax', strict: 'Strict', none: 'None', no_restriction: 'None' };
+
+function toCookie(cookie, domain) {
+  const normalized = {
+    name: String(cookie.name),
+    value: String(cookie.value ?? ''),
+    domain: cookie.domain || domain,
+    path: cookie.path || '/',
+    secure: cookie.secure !== undefined ? Boolean(cookie.secure) : true,
+    httpOnly: Boolean(cookie.httpOnly)
+  };
+
+  const expires = cookie.expires ?? cookie.expirationDate;
+  if (expires && expires > 0) {
+    normalized.expires = Math.floor(expires);
+  }
+
+  const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()];
+  if (sameSite) {
+    normalized.sameSite = sameSite;
+  }
+
+  return normalized;
+}
+
+function normalizeSessionCookies(value, domain = DEFAULT_DOMAIN) {
+  if (!value) {
+    return [];
+  }
+
+  let cookies = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      try {
+        cookies = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`Invalid sessionCookies: not valid JSON (${error.message}). Use a Cookie header string ("name=value; name2=value2") or a cookie extension's JSON export`);
+      }
+    } else {
+      cookies = trimmed
+        .split(';')
+        .map((pair) => pair.trim())
+        .filter((pair) => pair.includes('='))
+        .map((pair) => {
+          const index = pair.indexOf('=');
+          return { name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+        });
+    }
+  }
+
+  if (!Array.isArray(cookies)) {
+    cookies = Object.entries(cookies).map(([name, cookieValue]) => ({ name, value: cookieValue }));
+  }
+
+  return cookies
+    .filter((cookie) => cookie && cookie.name)
+    .map((cookie) => toCookie(cookie, domain));
+}
+
+// Key-value store key of the saved session of an account. Sessions are kept
+// per account (the email, or the sessionCookies input when there is none), so
+// a store shared by runs of several accounts never hands one account's login
+// to another. Without either there is no account to look up: null.
+function sessionStoreKey({ email, cookies = [] } = {}) {
+  let identity = null;
+  if (email) {
+    identity = `email:${String(email).trim().toLowerCase()}`;
+  } else if (cookies.length > 0) {
+    identity = `cookies:${cookies.map((cookie) => `${cookie.name}=${cookie.value}`).sort().join(';')}`;
+  }
+  return identity
+    ? `SCRAPER_SESSION-${crypto.createHash('sha256').update(identity).digest('hex').slice(0, 20)}`
+    : null;
+}
+
+module.exports = { normalizeSessionCookies, sessionStoreKey };
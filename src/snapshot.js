@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+// Snapshots of scraped courses for incremental runs. A snapshot is stored per
+// classroom in a named key-value store; its index maps module IDs to what we
+// saw last time:
+//
+//   { classroomUrl, courseId, savedAt,
+//     modules: { [moduleId]: { title, breadcrumb, updatedAt, locked, hash, recordKey } } }
+//
+// Each module's scraped fields (content, blocks, resources, assets, transcript,
+// ...) are a record of their own under `recordKey`, { moduleId, result }, so the
+// index stays small however large the course is. Snapshots of older versions
+// kept the `content` in the index instead.
+
+// Comparing lines is quadratic; above this many line pairs we report a plain replacement
+const MAX_DIFF_CELLS = 4000000;
+
+function contentHash(content) {
+  return `sha256:${crypto.createHash('sha256').update(content || '').digest('hex')}`;
+}
+
+// Key-value store key of a classroom's snapshot
+function snapshotKey(classroomUrl, courseId) {
+  const identity = courseId || String(classroomUrl || '').split('?')[0];
+  return `snapshot-${crypto.createHash('sha1').update(identity).digest('hex').slice(0, 20)}`;
+}
+
+// Key of the record holding one module's scraped fields
+function snapshotRecordKey(key, moduleId) {
+  return `${key}-${crypto.createHash('sha1').update(String(moduleId)).digest('hex').slice(0, 16)}`;
+}
+
+// Line diff of two texts: unchanged lines start with "  ", removed with "- ", added with "+ "
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map((line) => `- ${line}`), ...b.map((line) => `+ ${line}`)].join('\n');
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) {
+    lines.push(`- ${a[i++]}`);
+  }
+  while (j < b.length) {
+    lines.push(`+ ${b[j++]}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Index entry for a scraped module whose fields are stored under recordKey
+function snapshotEntry(module, recordKey) {
+  return {
+    title: module.title,
+    breadcrumb: module.breadcrumb || null,
+    updatedAt: module.updatedAt || null,
+    locked: module.status === 'locked',
+    hash: contentHash(module.content),
+    recordKey
+  };
+}
+
+// Modules that failed to scrape have no content to compare. Locked modules
+// carry an error too, but being locked is their state and is compared as such.
+function hasFailed(module) {
+  return Boolean(module.error) && module.status !== 'locked';
+}
+
+// Change status of one module against the previous snapshot: added, modified, renamed, unchanged or failed
+function moduleChangeStatus(module, snapshot) {
+  if (hasFailed(module)) {
+    return 'failed';
+  }
+  const before = snapshot && snapshot.modules && snapshot.modules[module.Id];
+  if (!before) {
+    return 'added';
+  }
+  if (before.hash !== contentHash(module.content) || Boolean(before.locked) !== (module.status === 'locked')) {
+    return 'modified';
+  }
+  return before.title !== module.title ? 'renamed' : 'unchanged';
+}
+
+// Compare the scraped modules with the previous snapshot. Sets `changeStatus`
+// on every module and returns the report.
+// Modules in skippedIds were left out of this run on purpose and aren't reported as removed.
+// previousContent maps the IDs of modified modules to their content in the snapshot, for the diffs.
+function compareWithSnapshot(modules, snapshot, skippedIds = new Set(), previousContent = {}) {
+  const previous = (snapshot && snapshot.modules) || {};
+  const report = { added: [], modified: [], renamed: [], removed: [], failed: [], unchanged: 0 };
+  const seen = new Set();
+
+  modules.forEach((module) => {
+    if (!module.Id) {
+      return;
+    }
+    seen.add(module.Id);
+
+    module.changeStatus = moduleChangeStatus(module, snapshot);
+    const before = previous[module.Id];
+
+    if (module.changeStatus === 'failed') {
+      report.failed.push({ moduleId: module.Id, title: module.title, status: module.status || null });
+      return;
+    }
+    if (module.changeStatus === 'added') {
+      report.added.push({ moduleId: module.Id, title: module.title, breadcrumb: module.breadcrumb || null });
+      return;
+    }
+
+    // A modified module can also have been renamed
+    if (before.title !== module.title) {
+      report.renamed.push({ moduleId: module.Id, from: before.title, to: module.title });
+    }
+    if (module.changeStatus === 'modified') {
+      report.modified.push({
+        moduleId: module.Id,
+        title: module.title,
+        breadcrumb: module.breadcrumb || null,
+        diff: diffLines(previousContent[module.Id] ?? before.content, module.content)
+      });
+    }
+    if (module.changeStatus === 'unchanged') {
+      report.unchanged++;
+    }
+  });
+
+  Object.entries(previous).forEach(([moduleId, before]) => {
+    if (!seen.has(moduleId) && !skippedIds.has(moduleId)) {
+      report.removed.push({ moduleId, title: before.title, breadcrumb: before.breadcrumb });
+    }
+  });
+
+  return report;
+}
+
+module.exports = {
+  compareWithSnapshot,
+  contentHash,
+  diffLines,
+  hasFailed,
+  moduleChangeStatus,
+  snapshotEntry,
+  snapshotKey,
+  snapshotRecordKey
+};
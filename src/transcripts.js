@@ -0,0 +1,333 @@
+const cheerio = require('cheerio');
+
+// Fetches caption tracks of lesson videos and turns them into transcripts.
+// Every provider lists the caption tracks of a video as
+//
+//   { language: 'en', label: 'English', kind: 'captions', url: 'https://…/en.vtt' }
+//
+// (or with the track's `body` inline), then the preferred track is downloaded
+// and parsed, whatever its format (WebVTT, SRT, YouTube timedtext XML or json3,
+// HLS subtitle playlists). Providers and their endpoints can be swapped, which
+// is how the tests point them at a local server. A transcript always has the
+// same fields:
+//
+//   { status: 'ok', provider: 'youtube', language: 'en', label: 'English', kind: 'captions',
+//     source: 'https://www.youtube.com/api/timedtext?v=…&lang=en', segments: [{ start: 0.5, end: 2.6, text: 'Hi' }],
+//     text: 'Hi …', error: null }
+//
+// `status` is `unsupported` for providers without captions support,
+// `unavailable` when the video has no caption track and `error` when fetching failed.
+
+const DEFAULT_ENDPOINTS = {
+  youtube: 'https://www.youtube.com',
+  vimeo: 'https://player.vimeo.com',
+  wistia: 'https://fast.wistia.net',
+  loom: 'https://www.loom.com',
+  mux: 'https://stream.mux.com'
+};
+
+// "01:02:03.450", "02:03,450" or "3.45" → seconds
+function parseTimestamp(value) {
+  const parts = String(value).trim().replace(',', '.').split(':').map(Number);
+  if (parts.some((part) => Number.isNaN(part))) {
+    return null;
+  }
+  return Math.round(parts.reduce((total, part) => total * 60 + part, 0) * 1000) / 1000;
+}
+
+function cleanCueText(text) {
+  return cheerio.load(`<div>${String(text).replace(/<[^>]*>/g, '')}</div>`, null, false).root().text()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// WebVTT and SRT cues. Repeated lines of rolling auto-captions are dropped.
+function parseCues(body) {
+  const segments = [];
+  String(body).replace(/\r/g, '').split(/\n{2,}/).forEach((block) => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) {
+      return;
+    }
+    const [start, end] = lines[timingIndex].split('-->').map((part) => parseTimestamp(part.trim().split(/\s+/)[0]));
+    const text = cleanCueText(lines.slice(timingIndex + 1).join(' '));
+    if (start === null || !text || (segments.length > 0 && segments[segments.length - 1].text === text)) {
+      return;
+    }
+    segments.push({ start, end, text });
+  });
+  return segments;
+}
+
+// YouTube timedtext XML: <text start="1.2" dur="2.5"> (format 1) or <p t="1200" d="2500"> (format 3)
+function parseTimedTextXml(body) {
+  const $ = cheerio.load(body, { xmlMode: true });
+  return $('text, p').toArray().map((elem) => {
+    const attribs = elem.attribs;
+    const start = attribs.start !== undefined ? Number(attribs.start) : Number(attribs.t) / 1000;
+    const duration = attribs.dur !== undefined ? Number(attribs.dur) : Number(attribs.d || 0) / 1000;
+    return { start, end: Math.round((start + duration) * 1000) / 1000, text: cleanCueText($(elem).text()) };
+  }).filter((segment) => segment.text && !Number.isNaN(segment.start));
+}
+
+// YouTube json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+function parseJson3(body) {
+  return (JSON.parse(body).events || [])
+    .filter((event) => Array.isArray(event.segs))
+    .map((event) => ({
+      start: (event.tStartMs || 0) / 1000,
+      end: ((event.tStartMs || 0) + (event.dDurationMs || 0)) / 1000,
+      text: cleanCueText(event.segs.map((seg) => seg.utf8 || '').join(''))
+    }))
+    .filter((segment) => segment.text);
+}
+
+// Segments of a caption file in any of the supported formats
+function parseCaptions(body) {
+  const trimmed = String(body || '').trim();
+  if (trimmed.startsWith('{')) {
+    return parseJson3(trimmed);
+  }
+  if (trimmed.startsWith('<')) {
+    return parseTimedTextXml(trimmed);
+  }
+  return parseCues(trimmed);
+}
+
+// Attributes of an HLS tag line: #EXT-X-MEDIA:TYPE=SUBTITLES,LANGUAGE="en",URI="en.m3u8"
+function hlsAttributes(line) {
+  const attributes = {};
+  line.replace(/([A-Z-]+)=("([^"]*)"|[^,]*)/g, (match, name, raw, quoted) => {
+    attributes[name] = quoted !== undefined ? quoted : raw;
+    return match;
+  });
+  return attributes;
+}
+
+// The JSON object that follows `marker` in a page's script, e.g. `var ytInitialPlayerResponse = {…};`
+function jsonAfter(text, marker) {
+  const match = marker.exec(text);
+  const start = match ? match.index + match[0].length : -1;
+  if (start === -1 || text[start] !== '{') {
+    return null;
+  }
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(text.slice(start, i + 1));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Pick the track to use: the first preferred language that has one, human captions over automatic ones
+function pickTrack(tracks, languages = []) {
+  const rank = (track) => (track.kind === 'asr' ? 1 : 0) - (track.isDefault ? 0.5 : 0);
+  const byRank = (a, b) => rank(a) - rank(b);
+
+  for (const language of languages.map((value) => String(value).toLowerCase())) {
+    const matches = tracks.filter((track) => {
+      const trackLanguage = String(track.language || '').toLowerCase();
+      return trackLanguage === language || trackLanguage.split(/[-_]/)[0] === language.split(/[-_]/)[0];
+    });
+    if (matches.length > 0) {
+      return matches.sort(byRank)[0];
+    }
+  }
+  return tracks.slice().sort(byRank)[0] || null;
+}
+
+// Caption track listers, by video provider. Each gets the video and a context
+// with `fetchText(url)`, the `endpoints` and the lesson page's `pageTracks`.
+const PROVIDERS = {
+  // The watch page's player response lists the caption tracks with signed timedtext URLs
+  async youtube(video, { fetchText, endpoints }) {
+    const html = await fetchText(`${endpoints.youtube}/watch?v=${encodeURIComponent(video.id)}`);
+    const playerResponse = jsonAfter(html, /ytInitialPlayerResponse\s*=\s*/);
+    if (!playerResponse) {
+      throw new Error('No player response in the YouTube watch page');
+    }
+    const tracklist = (playerResponse.captions && playerResponse.captions.playerCaptionsTracklistRenderer) || {};
+    const defaultIndex = ((tracklist.audioTracks || [])[0] || {}).defaultCaptionTrackIndex;
+    return (tracklist.captionTracks || []).filter((track) => track.baseUrl).map((track, index) => {
+      const name = track.name || {};
+      const label = name.simpleText || (name.runs || []).map((run) => run.text).join('') || track.languageCode || null;
+      return {
+        language: track.languageCode || null,
+        label,
+        kind: track.kind === 'asr' ? 'asr' : 'captions',
+        isDefault: index === defaultIndex,
+        url: new URL(track.baseUrl, `${endpoints.youtube}/`).toString()
+      };
+    });
+  },
+
+  async vimeo(video, { fetchText, endpoints }) {
+    const hash = new URL(video.embedUrl || video.url).searchParams.get('h') || (video.url.match(/vimeo\.com\/\d+\/([\da-f]+)/i) || [])[1];
+    const config = JSON.parse(await fetchText(`${endpoints.vimeo}/video/${video.id}/config${hash ? `?h=${hash}` : ''}`));
+    const tracks = (config.request && config.request.text_tracks) || [];
+    return tracks.map((track) => ({
+      language: track.lang || null,
+      label: track.label || track.lang || null,
+      kind: /auto/i.test(track.kind || '') ? 'asr' : 'captions',
+      url: new URL(track.url, `${endpoints.vimeo}/`).toString()
+    }));
+  },
+
+  async wistia(video, { fetchText, endpoints }) {
+    const data = JSON.parse(await fetchText(`${endpoints.wistia}/embed/captions/${video.id}.json`));
+    const captions = Array.isArray(data) ? data : data.captions || [];
+    return captions.map((caption) => ({
+      language: caption.language || null,
+      label: caption.english_name || caption.native_name || caption.language || null,
+      kind: 'captions',
+      ...(caption.text ? { body: caption.text } : { url: new URL(caption.url, `${endpoints.wistia}/`).toString() })
+    }));
+  },
+
+  // Loom puts the caption file's URL in the share page's bootstrap data
+  async loom(video, { fetchText, endpoints }) {
+    const html = (await fetchText(`${endpoints.loom}/share/${video.id}`)).replace(/\\u002F/gi, '/').replace(/\\\//g, '/');
+    const urls = Array.from(new Set(html.match(/https?:\/\/[^"'\s<>]+?\.vtt(?:\?[^"'\s<>]*)?/gi) || []));
+    const language = (html.match(/"(?:transcript_)?language"\s*:\s*"([\w-]+)"/) || [])[1] || null;
+    return urls.map((url) => ({ language, label: language, kind: 'captions', url: url.replace(/&amp;/g, '&') }));
+  },
+
+  // Videos uploaded to Skool: <track> elements of the lesson page's player, then the Mux stream's subtitle renditions
+  async skool(video, { fetchText, endpoints, pageTracks }) {
+    if (pageTracks.length > 0) {
+      return pageTracks;
+    }
+    const playbackId = /mux\.com/i.test(`${video.url} ${video.embedUrl}`) ? video.id : null;
+    if (!playbackId) {
+      return [];
+    }
+    const manifestUrl = `${endpoints.mux}/${playbackId}.m3u8`;
+    const manifest = await fetchText(manifestUrl);
+    return manifest.split('\n')
+      .filter((line) => line.startsWith('#EXT-X-MEDIA:') && /TYPE=SUBTITLES/.test(line))
+      .map((line) => {
+        const attributes = hlsAttributes(line);
+        return {
+          language: attributes.LANGUAGE || null,
+          label: attributes.NAME || attributes.LANGUAGE || null,
+          kind: /auto|generated/i.test(attributes.NAME || '') ? 'asr' : 'captions',
+          isDefault: attributes.DEFAULT === 'YES',
+          url: new URL(attributes.URI, manifestUrl).toString()
+        };
+      })
+      .filter((track) => track.url);
+  }
+};
+
+function transcriptResult(video, fields) {
+  return {
+    status: fields.status,
+    provider: video ? video.provider : null,
+    language: null,
+    label: null,
+    kind: null,
+    source: null,
+    segments: [],
+    text: '',
+    error: null,
+    ...fields
+  };
+}
+
+class TranscriptFetcher {
+  constructor({ fetchImpl = fetch, languages = [], providers = PROVIDERS, endpoints = {}, headers = {} } = {}) {
+    this.fetchImpl = fetchImpl;
+    this.languages = languages;
+    this.providers = providers;
+    this.endpoints = { ...DEFAULT_ENDPOINTS, ...endpoints };
+    this.headers = headers;
+  }
+
+  async fetchText(url) {
+    const response = await this.fetchImpl(url, { headers: this.headers, redirect: 'follow' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    return response.text();
+  }
+
+  // Segments of one track. HLS subtitle playlists are split into WebVTT segments, fetched in order.
+  async trackSegments(track) {
+    const body = track.body !== undefined ? track.body : await this.fetchText(track.url);
+    if (!String(body).trim().startsWith('#EXTM3U')) {
+      return parseCaptions(body);
+    }
+    const segmentUrls = body.split('\n').map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+    const segments = [];
+    for (const segmentUrl of segmentUrls) {
+      parseCaptions(await this.fetchText(new URL(segmentUrl, track.url).toString())).forEach((segment) => {
+        if (segments.length === 0 || segments[segments.length - 1].text !== segment.text) {
+          segments.push(segment);
+        }
+      });
+    }
+    return segments;
+  }
+
+  // Transcript of a video. Never throws: failures end up in the transcript's status and error.
+  async transcriptFor(video, { pageTracks = [] } = {}) {
+    if (!video) {
+      return null;
+    }
+    const provider = this.providers[video.provider];
+    if (!provider || !video.id) {
+      return transcriptResult(video, { status: 'unsupported' });
+    }
+
+    try {
+      const tracks = await provider(video, {
+        fetchText: (url) => this.fetchText(url),
+        endpoints: this.endpoints,
+        pageTracks
+      });
+      const track = pickTrack(tracks, this.languages);
+      if (!track) {
+        return transcriptResult(video, { status: 'unavailable' });
+      }
+
+      const segments = await this.trackSegments(track);
+      return transcriptResult(video, {
+        status: segments.length > 0 ? 'ok' : 'unavailable',
+        language: track.language || null,
+        label: track.label || null,
+        kind: track.kind || 'captions',
+        source: track.url || null,
+        segments,
+        text: segments.map((segment) => segment.text).join(' ')
+      });
+    } catch (error) {
+      return transcriptResult(video, { status: 'error', error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_ENDPOINTS,
+  PROVIDERS,
+  TranscriptFetcher,
+  parseCaptions,
+  pickTrack
+};
@@ -0,0 +1,178 @@
+const cheerio = require('cheerio');
+
+// Normalizes lesson video links. Every supported provider yields the same
+// shape, whatever form the link was pasted in:
+//
+//   { provider: 'youtube', id: 'dQw4w9WgXcQ', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+//     embedUrl: 'https://www.youtube.com/embed/dQw4w9WgXcQ', streamUrl: null,
+//     thumbnailUrl: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg', durationSeconds: null }
+//
+// `embedUrl` is always a player page that can go in an iframe; `streamUrl` is
+// the HLS manifest of videos streamed through Mux, for players and downloaders.
+
+const PROVIDERS = [
+  {
+    name: 'youtube',
+    hosts: /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)$/i,
+    match(url) {
+      if (/youtu\.be$/i.test(url.hostname)) {
+        return { id: url.pathname.split('/')[1] };
+      }
+      const pathMatch = url.pathname.match(/^\/(?:embed|shorts|live|v)\/([\w-]{6,})/);
+      return { id: pathMatch ? pathMatch[1] : url.searchParams.get('v') };
+    },
+    build: ({ id }) => ({
+      url: `https://www.youtube.com/watch?v=${id}`,
+      embedUrl: `https://www.youtube.com/embed/${id}`,
+      thumbnailUrl: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+    })
+  },
+  {
+    name: 'vimeo',
+    hosts: /(^|\.)vimeo\.com$/i,
+    match(url) {
+      // vimeo.com/123, vimeo.com/123/abcdef (unlisted), player.vimeo.com/video/123?h=abcdef
+      const pathMatch = url.pathname.match(/(?:^|\/)(\d{5,})(?:\/([\da-f]{6,}))?/i);
+      return pathMatch ? { id: pathMatch[1], hash: pathMatch[2] || url.searchParams.get('h') } : {};
+    },
+    build: ({ id, hash }) => ({
+      url: `https://vimeo.com/${id}${hash ? `/${hash}` : ''}`,
+      embedUrl: `https://player.vimeo.com/video/${id}${hash ? `?h=${hash}` : ''}`,
+      thumbnailUrl: null
+    })
+  },
+  {
+    name: 'loom',
+    hosts: /(^|\.)loom\.com$/i,
+    match(url) {
+      const pathMatch = url.pathname.match(/^\/(?:share|embed)\/([\da-f]{16,})/i);
+      return { id: pathMatch ? pathMatch[1] : null };
+    },
+    build: ({ id }) => ({
+      url: `https://www.loom.com/share/${id}`,
+      embedUrl: `https://www.loom.com/embed/${id}`,
+      thumbnailUrl: null
+    })
+  },
+  {
+    name: 'wistia',
+    hosts: /(^|\.)(wistia\.com|wistia\.net|wi\.st)$/i,
+    match(url) {
+      const pathMatch = url.pathname.match(/\/(?:medias|iframe|embed\/medias)\/(\w{6,})/);
+      return { id: pathMatch ? pathMatch[1] : url.searchParams.get('wvideo') };
+    },
+    build: ({ id }) => ({
+      url: `https://fast.wistia.net/medias/${id}`,
+      embedUrl: `https://fast.wistia.net/embed/iframe/${id}`,
+      thumbnailUrl: null
+    })
+  },
+  {
+    // Videos uploaded to Skool itself are streamed through Mux
+    name: 'skool',
+    hosts: /(^|\.)(mux\.com|skool\.com)$/i,
+    match(url) {
+      const muxMatch = url.hostname.match(/(stream|image)\.mux\.com$/i) && url.pathname.match(/^\/([\w]{10,})/);
+      if (muxMatch) {
+        return { id: muxMatch[1] };
+      }
+      const skoolMatch = url.pathname.match(/\/(?:videos?|v)\/([\w-]{6,})/);
+      return { id: skoolMatch ? skoolMatch[1] : null, skoolUrl: url.href };
+    },
+    build: ({ id, skoolUrl }) => ({
+      url: skoolUrl || `https://stream.mux.com/${id}.m3u8`,
+      embedUrl: skoolUrl ? null : `https://player.mux.com/${id}`,
+      streamUrl: skoolUrl ? null : `https://stream.mux.com/${id}.m3u8`,
+      thumbnailUrl: skoolUrl ? null : `https://image.mux.com/${id}/thumbnail.jpg`
+    })
+  }
+];
+
+function parseUrl(value) {
+  try {
+    return new URL(value.trim().replace(/^\/\//, 'https://'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Thumbnail and duration, when Skool's module metadata has them
+function metadataDetails(metadata = {}) {
+  const durationMs = Number(metadata.videoLenMs || metadata.videoLengthMs || 0);
+  const durationSeconds = durationMs > 0
+    ? Math.round(durationMs / 1000)
+    : Number(metadata.videoDuration || metadata.duration || 0) || null;
+
+  return {
+    thumbnailUrl: metadata.videoThumbnail || metadata.videoThumbnailUrl || metadata.thumbnail || null,
+    durationSeconds
+  };
+}
+
+// Identify the provider of a video link and build its canonical URLs
+function detectVideo(link, metadata = {}) {
+  if (!link || typeof link !== 'string') {
+    return null;
+  }
+
+  const details = metadataDetails(metadata);
+  const url = parseUrl(link);
+  const provider = url && PROVIDERS.find((candidate) => candidate.hosts.test(url.hostname));
+  const match = provider ? provider.match(url) : null;
+
+  if (!provider || !match || !match.id) {
+    return {
+      provider: 'other',
+      id: null,
+      url: link,
+      embedUrl: null,
+      streamUrl: null,
+      thumbnailUrl: details.thumbnailUrl,
+      durationSeconds: details.durationSeconds
+    };
+  }
+
+  const built = provider.build(match);
+  return {
+    provider: provider.name,
+    id: match.id,
+    url: built.url,
+    embedUrl: built.embedUrl,
+    streamUrl: built.streamUrl || null,
+    thumbnailUrl: details.thumbnailUrl || built.thumbnailUrl,
+    durationSeconds: details.durationSeconds
+  };
+}
+
+// Build a module's video from its __NEXT_DATA__ metadata. Videos uploaded to
+// Skool may only carry a Mux playback ID instead of a videoLink.
+function videoFromMetadata(metadata = {}) {
+  const playbackId = metadata.muxPlaybackId || metadata.videoPlaybackId;
+  const link = metadata.videoLink || (playbackId ? `https://stream.mux.com/${playbackId}.m3u8` : null);
+  return detectVideo(link, metadata);
+}
+
+// Find videos embedded in the lesson body: iframes, <video> tags and links to known providers
+function collectEmbeddedVideos(html) {
+  const $ = cheerio.load(html || '', null, false);
+  const sources = [];
+
+  $('iframe[src], video[src], video source[src], [data-video-url]').each((i, elem) => {
+    sources.push({ link: $(elem).attr('src') || $(elem).attr('data-video-url'), embedded: true });
+  });
+  $('a[href]').each((i, elem) => {
+    sources.push({ link: $(elem).attr('href'), embedded: false });
+  });
+
+  const videos = new Map();
+  sources.forEach(({ link, embedded }) => {
+    const video = detectVideo(link);
+    // Plain links only count when they point at a video provider
+    if (video && (embedded || video.provider !== 'other')) {
+      videos.set(video.id ? `${video.provider}:${video.id}` : video.url, video);
+    }
+  });
+  return Array.from(videos.values());
+}
+
+module.exports = { detectVideo, videoFromMetadata, collectEmbeddedVideos };
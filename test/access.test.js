@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { accessOf, completedIdsOf, progressOf } = require('../src/access');
+
+const now = Date.parse('2024-05-10T00:00:00.000Z');
+
+test('reads level gates and tiers', () => {
+  assert.deepEqual(accessOf({ id: 'a', metadata: { hasAccess: 0, unlockLevel: 3 } }, null, { now }), {
+    locked: true,
+    lockReason: 'Unlocks at level 3',
+    unlockLevel: 3,
+    unlockAt: null,
+    unlockAfterDays: null,
+    requiredTier: null,
+    completed: false
+  });
+  assert.equal(accessOf({ hasAccess: false, metadata: { minTier: 'premium' } }).lockReason, 'Requires premium tier');
+  assert.equal(accessOf({ metadata: {} }).locked, false);
+});
+
+test('locks drip lessons until their unlock date', () => {
+  const scheduled = accessOf({ metadata: { dripDate: 1718236800 } }, null, { now });
+  assert.equal(scheduled.locked, true);
+  assert.equal(scheduled.unlockAt, '2024-06-13T00:00:00.000Z');
+  assert.equal(scheduled.lockReason, 'Unlocks on 2024-06-13');
+
+  assert.equal(accessOf({ metadata: { unlockAt: '2024-05-01T00:00:00.000Z' } }, null, { now }).locked, false);
+});
+
+test('lessons inherit the lock of their folder', () => {
+  const folder = accessOf({ metadata: { hasAccess: 0, unlockLevel: 5 } }, null, { now });
+  const lesson = accessOf({ id: 'lesson', metadata: {} }, folder, { now });
+
+  assert.equal(lesson.locked, true);
+  assert.equal(lesson.lockReason, 'Unlocks at level 5');
+});
+
+test('reads completion from the node or from a list of completed IDs', () => {
+  assert.equal(accessOf({ id: 'a', completed: true }).completed, true);
+  assert.equal(accessOf({ id: 'b' }, null, { completedIds: completedIdsOf({ completedModuleIds: ['b'] }) }).completed, true);
+  assert.equal(accessOf({ id: 'c' }, null, { completedIds: completedIdsOf({ progress: { completedIds: [{ id: 'd' }] } }) }).completed, false);
+});
+
+test('computes percent complete unless Skool reports it', () => {
+  const modules = [{ access: { completed: true } }, { access: { completed: false } }, { access: { completed: false } }];
+
+  assert.deepEqual(progressOf(modules), { completedModules: 1, totalModules: 3, percentComplete: 33 });
+  assert.equal(progressOf(modules, 40).percentComplete, 40);
+  assert.equal(progressOf([]).percentComplete, 0);
+});
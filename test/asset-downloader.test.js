@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AssetDownloader, assetKey, collectAssetUrls, isDownloadableAsset, rewriteAssetUrls } = require('../src/asset-downloader');
+const { htmlToMarkdown } = require('../src/html-to-markdown');
+
+const IMAGE = 'https://assets.skool.com/f/abc/diagram.png';
+const PDF = 'https://d1abc.cloudfront.net/files/workbook.pdf';
+
+// A key-value store and fetch that keep everything in memory
+function memoryDownloader(files) {
+  const requests = [];
+  const records = new Map();
+  const store = {
+    setValue: async (key, value, options) => records.set(key, { value, ...options }),
+    getPublicUrl: (key) => `https://api.apify.com/v2/key-value-stores/store-1/records/${key}`
+  };
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, headers: init.headers });
+    const file = files[url.split('?')[0]];
+    return file
+      ? new Response(file.body, { headers: { 'content-type': file.type } })
+      : new Response('gone', { status: 403 });
+  };
+  return { downloader: new AssetDownloader({ store, fetchImpl }), requests, records };
+}
+
+test('keys signed URLs by their path so the key survives a new signature', () => {
+  const key = assetKey(`${IMAGE}?Expires=1700000000&Signature=abc`);
+  assert.match(key, /^asset-[0-9a-f]{20}\.png$/);
+  assert.equal(assetKey(`${IMAGE}?Expires=1800000000&Signature=xyz`), key);
+  assert.equal(assetKey(IMAGE), key);
+  assert.notEqual(assetKey('https://assets.skool.com/f/abc/other.png'), key);
+  assert.match(assetKey('https://assets.skool.com/f/abc/no-extension'), /^asset-[0-9a-f]{20}$/);
+});
+
+test('collects images and files on known hosts once each and leaves other links alone', () => {
+  const html = [
+    `<p><img src="${IMAGE}?sig=1"><img originalsrc="${IMAGE}?sig=1"></p>`,
+    `<p><a href="${PDF}">Workbook</a> <a href="${PDF}">again</a></p>`,
+    '<p><a href="https://www.skool.com/group/classroom/abc?md=1">next lesson</a></p>',
+    '<p><a href="https://example.com/file.pdf">elsewhere</a> <a href="mailto:me@example.com">mail</a></p>',
+    '<p><img src="data:image/png;base64,AAAA"></p>'
+  ].join('');
+
+  assert.deepEqual(collectAssetUrls(html), [
+    { url: `${IMAGE}?sig=1`, kind: 'image' },
+    { url: PDF, kind: 'file' }
+  ]);
+  assert.equal(isDownloadableAsset('https://www.skool.com/group/about', 'file'), false);
+  assert.equal(isDownloadableAsset('https://www.skool.com/files/sheet.xlsx', 'file'), true);
+  assert.equal(isDownloadableAsset('https://files.skoolusercontent.com/x', 'file'), true);
+  assert.equal(isDownloadableAsset('ftp://assets.skool.com/a.pdf', 'file'), false);
+  assert.deepEqual(collectAssetUrls(''), []);
+});
+
+test('downloads each asset once, with its type, size and checksum', async () => {
+  const { downloader, requests, records } = memoryDownloader({
+    [IMAGE]: { body: 'png-bytes', type: 'image/png; charset=binary' }
+  });
+
+  const asset = await downloader.download(`${IMAGE}?sig=1`, { kind: 'image', headers: { Cookie: 'auth_token=abc' } });
+  assert.deepEqual(asset, {
+    key: assetKey(IMAGE),
+    kind: 'image',
+    url: `https://api.apify.com/v2/key-value-stores/store-1/records/${assetKey(IMAGE)}`,
+    sourceUrl: `${IMAGE}?sig=1`,
+    mimeType: 'image/png',
+    size: 9,
+    checksum: `sha256:${crypto.createHash('sha256').update('png-bytes').digest('hex')}`
+  });
+  assert.equal(records.get(asset.key).contentType, 'image/png');
+  assert.equal(requests[0].headers.Cookie, 'auth_token=abc');
+
+  const again = await downloader.download(`${IMAGE}?sig=2`, { kind: 'image' });
+  assert.equal(requests.length, 1, 'a new signature of a stored file is not fetched again');
+  assert.deepEqual([again.key, again.sourceUrl], [asset.key, `${IMAGE}?sig=2`]);
+
+  await assert.rejects(downloader.download(PDF), /HTTP 403/);
+  const tiny = new AssetDownloader({ store: {}, maxBytes: 4, fetchImpl: async () => new Response('too large') });
+  await assert.rejects(tiny.download(PDF), /Asset too large \(9 bytes\)/);
+});
+
+test('points the HTML and Markdown outputs at the stored copies', () => {
+  const html = `<p><img src="${IMAGE}?sig=1" alt="Diagram"> <a href="${PDF}">Workbook</a> <a href="https://example.com/x.pdf">other</a></p>`;
+  const assets = [
+    { sourceUrl: `${IMAGE}?sig=1`, url: 'https://store.example/asset-1.png' },
+    { sourceUrl: PDF, url: 'https://store.example/asset-2.pdf' }
+  ];
+
+  const rewritten = rewriteAssetUrls(html, assets);
+  assert.equal(rewritten, '<p><img src="https://store.example/asset-1.png" alt="Diagram"> <a href="https://store.example/asset-2.pdf">Workbook</a> <a href="https://example.com/x.pdf">other</a></p>');
+  assert.equal(htmlToMarkdown(rewritten), '![Diagram](https://store.example/asset-1.png) [Workbook](https://store.example/asset-2.pdf) [other](https://example.com/x.pdf)');
+  assert.equal(rewriteAssetUrls(html, []), html);
+});
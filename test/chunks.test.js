@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildChunks, chunkOptions, chunkText, estimateTokens, toJsonl } = require('../src/chunks');
+const { htmlToBlocks } = require('../src/content-blocks');
+
+const sentence = (n) => `Sentence number ${n} explains one more detail of the lesson.`;
+
+test('breaks chunks at headings and records the heading path', () => {
+  const chunks = chunkText([
+    'Intro before any heading.',
+    '# Setup',
+    'Install the app.',
+    '## Accounts',
+    'Create an account.',
+    '# Next steps',
+    'Join the call.'
+  ].join('\n\n'));
+
+  assert.deepEqual(chunks.map((chunk) => chunk.headings), [[], ['Setup'], ['Setup', 'Accounts'], ['Next steps']]);
+  assert.equal(chunks[1].text, '# Setup\n\nInstall the app.');
+  assert.equal(chunks[1].tokens, estimateTokens('# Setup\n\nInstall the app.'));
+});
+
+test('splits long sections under the chunk size with overlap', () => {
+  const paragraphs = Array.from({ length: 12 }, (_, i) => sentence(i));
+  const chunks = chunkText(paragraphs.join('\n\n'), { chunkSize: 60, chunkOverlap: 10 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk) => assert.ok(chunk.tokens <= 60, `${chunk.tokens} tokens`));
+  chunks.slice(1).forEach((chunk, index) => {
+    const overlap = chunk.text.split('\n\n')[0];
+    assert.ok(chunks[index].text.endsWith(overlap), 'starts with the end of the previous chunk');
+    assert.ok(estimateTokens(overlap) <= 10);
+  });
+  assert.ok(chunks[chunks.length - 1].text.endsWith(sentence(11)));
+
+  const oneParagraph = chunkText(paragraphs.join(' '), { chunkSize: 60, chunkOverlap: 0 });
+  assert.ok(oneParagraph.length > 1);
+  assert.equal(oneParagraph.map((chunk) => chunk.text).join(' '), paragraphs.join(' '));
+});
+
+test('cuts text without spaces so no chunk goes over the chunk size', () => {
+  const blob = 'x'.repeat(5000);
+  const chunks = chunkText(`# Data\n\n${blob}\n\nAfter the blob.`, { chunkSize: 100, chunkOverlap: 0 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk) => assert.ok(chunk.tokens <= 100, `${chunk.tokens} tokens`));
+  assert.equal(chunks.map((chunk) => chunk.text).join('').replace(/[^x]/g, '').length, 5000);
+  assert.ok(chunks[chunks.length - 1].text.endsWith('After the blob.'));
+  assert.ok(chunkText(blob, { chunkSize: 100, chunkOverlap: 10 }).every((chunk) => chunk.tokens <= 100));
+});
+
+test('keeps the overlap under half a chunk', () => {
+  assert.deepEqual(chunkOptions({ chunkSize: 100, chunkOverlap: 80 }), { chunkSize: 100, chunkOverlap: 50 });
+  assert.deepEqual(chunkOptions({}), { chunkSize: 500, chunkOverlap: 50 });
+  assert.deepEqual(chunkOptions({ chunkSize: '200', chunkOverlap: 0 }), { chunkSize: 200, chunkOverlap: 0 });
+});
+
+test('tags chunks with their module and skips modules without content', () => {
+  const courseStructure = {
+    title: 'Getting Started',
+    courseId: 'course-1',
+    classroomUrl: 'https://www.skool.com/test-group/classroom/abc',
+    contentFormat: 'html',
+    sections: [{
+      courseTitle: 'Week 1',
+      childrenCourses: [
+        { Id: 'mod-a', title: 'Basics', content: '<h2>Setup</h2><p>Install the app.</p>', videoLink: 'https://youtu.be/x', resources: [{ title: 'Workbook', url: 'https://example.com/w.pdf', type: 'file' }] },
+        { Id: 'mod-b', title: 'Locked', content: '', status: 'locked' }
+      ]
+    }]
+  };
+
+  const chunks = buildChunks(courseStructure, { moduleUrl: (moduleId) => `${courseStructure.classroomUrl}?md=${moduleId}` });
+
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0], {
+    id: 'course-1:mod-a#0',
+    text: '## Setup\n\nInstall the app.',
+    tokens: 7,
+    chunkIndex: 0,
+    chunkCount: 1,
+    headings: ['Setup'],
+    metadata: {
+      itemKey: 'course-1:mod-a',
+      classroomUrl: 'https://www.skool.com/test-group/classroom/abc',
+      classroomTitle: 'Getting Started',
+      courseId: 'course-1',
+      sectionTitle: 'Week 1',
+      moduleTitle: 'Basics',
+      moduleId: 'mod-a',
+      moduleUrl: 'https://www.skool.com/test-group/classroom/abc?md=mod-a',
+      breadcrumb: 'Week 1 › Basics',
+      videoLink: 'https://youtu.be/x',
+      resources: [{ title: 'Workbook', url: 'https://example.com/w.pdf', type: 'file' }]
+    }
+  });
+
+  const lines = toJsonl(chunks).split('\n');
+  assert.deepEqual(lines.map((line) => line && JSON.parse(line).id), ['course-1:mod-a#0', '']);
+  assert.equal(toJsonl([]), '');
+});
+
+test('chunks text lessons at the headings of their block tree', () => {
+  const html = '<h2>Setup</h2><p>Install the app.</p><h2>Usage</h2><p>Open it.</p>';
+  const courseStructure = {
+    courseId: 'course-1',
+    contentFormat: 'text',
+    sections: [{
+      courseTitle: 'Week 1',
+      childrenCourses: [
+        { Id: 'mod-a', title: 'Basics', content: 'Setup\nInstall the app.\nUsage\nOpen it.', blocks: htmlToBlocks(html) },
+        { Id: 'mod-b', title: 'Legacy', content: 'Plain text only' }
+      ]
+    }]
+  };
+
+  const chunks = buildChunks(courseStructure, { chunkSize: 500 });
+  assert.deepEqual(chunks.map((chunk) => [chunk.metadata.moduleId, chunk.headings, chunk.text]), [
+    ['mod-a', ['Setup'], '## Setup\n\nInstall the app.'],
+    ['mod-a', ['Usage'], '## Usage\n\nOpen it.'],
+    ['mod-b', [], 'Plain text only']
+  ]);
+  assert.deepEqual(chunks[2].metadata.resources, []);
+});
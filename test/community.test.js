@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { countComments, feedPageUrl, inDateRange, parseDateRange, parseFeedPage, resolveCategoryIds, toComments, toPost } = require('../src/community');
+const community = require('./fixtures/community.json');
+
+const groupUrl = 'https://www.skool.com/test-group';
+const formatBody = (value) => value;
+
+test('builds feed page URLs', () => {
+  assert.equal(feedPageUrl(groupUrl, 1), 'https://www.skool.com/test-group?s=newest');
+  assert.equal(feedPageUrl(groupUrl, 3, 'label-wins'), 'https://www.skool.com/test-group?s=newest&p=3&c=label-wins');
+});
+
+test('reads posts and categories from a feed page', () => {
+  const { postTrees, categories, totalPages } = parseFeedPage({ props: { pageProps: { ...community, totalPages: 3 } } });
+  const posts = postTrees.map((postTree) => toPost(postTree, { groupUrl, categories, formatBody }));
+
+  assert.equal(totalPages, 3);
+  assert.deepEqual(posts[1], {
+    id: 'post-wins',
+    author: 'Jane Doe',
+    content: 'Share what went well this week.',
+    likes: 12,
+    createdAt: '2024-05-06T09:00:00.000Z',
+    updatedAt: '2024-05-06T11:30:00.000Z',
+    title: 'Weekly wins',
+    url: 'https://www.skool.com/test-group/weekly-wins',
+    category: 'Wins',
+    categoryId: 'label-wins',
+    pinned: false,
+    commentCount: 3
+  });
+  assert.equal(posts[0].pinned, true);
+  assert.deepEqual(parseFeedPage(null).postTrees, []);
+});
+
+test('keeps comment threads nested', () => {
+  const comments = toComments(community.postTrees[1].children, formatBody);
+
+  assert.deepEqual(comments.map((comment) => comment.author), ['Sam Lee', 'Alex']);
+  assert.equal(comments[0].replies[0].content, 'Congrats!');
+  assert.deepEqual(comments[1].replies, []);
+  assert.equal(countComments(comments), 3);
+});
+
+test('resolves categories by name or ID', () => {
+  const { categories } = parseFeedPage({ props: { pageProps: community } });
+
+  assert.deepEqual(resolveCategoryIds(categories, ['wins', 'label-general']), ['label-wins', 'label-general']);
+  assert.throws(() => resolveCategoryIds(categories, ['Announcements']), /Unknown post category "Announcements". Available: General, Wins/);
+});
+
+test('filters posts by date, a bare until date covering the whole day', () => {
+  const range = parseDateRange({ since: '2024-05-01', until: '2024-05-06' });
+
+  assert.equal(inDateRange({ createdAt: '2024-05-06T09:00:00.000Z' }, range), true);
+  assert.equal(inDateRange({ createdAt: '2024-04-30T23:00:00.000Z' }, range), false);
+  assert.equal(inDateRange({ createdAt: '2024-05-07T00:00:00.000Z' }, range), false);
+  assert.equal(inDateRange({ createdAt: '2020-01-01T00:00:00.000Z' }, parseDateRange()), true);
+  assert.throws(() => parseDateRange({ since: 'last week' }), /Invalid date: last week/);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { blocksToHtml, htmlToBlocks, safeUrl } = require('../src/content-blocks');
+
+test('keeps the text after inline code and the blocks after a code block', () => {
+  assert.deepEqual(htmlToBlocks('<p>Run <code>npm test</code> first.</p><pre>echo hi</pre><p>Done</p>').content, [
+    { type: 'paragraph', content: [{ type: 'text', text: 'Run ' }, { type: 'text', text: 'npm test', marks: [{ type: 'code' }] }, { type: 'text', text: ' first.' }] },
+    { type: 'codeBlock', attrs: { language: null }, content: [{ type: 'text', text: 'echo hi' }] },
+    { type: 'paragraph', content: [{ type: 'text', text: 'Done' }] }
+  ]);
+});
+
+test('builds a typed block tree and renders it back to clean HTML', () => {
+  const blocks = htmlToBlocks([
+    '<div class="tiptap"><h2>Intro</h2>',
+    '<p>See <a href="https://example.com" target="_blank"><strong>docs</strong></a><br>now</p>',
+    '<ol start="2"><li><p>Step</p></li></ol>',
+    '<p><img src="https://example.com/a.png" alt="Diagram"></p>',
+    '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>',
+    '<table><thead><tr><th>A</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>',
+    '<style>p { color: red; }</style></div>'
+  ].join(''));
+
+  assert.deepEqual(blocks, {
+    type: 'doc',
+    content: [
+      { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'Intro' }] },
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: 'See ' },
+          { type: 'text', text: 'docs', marks: [{ type: 'link', attrs: { href: 'https://example.com', target: '_blank' } }, { type: 'bold' }] },
+          { type: 'hardBreak' },
+          { type: 'text', text: 'now' }
+        ]
+      },
+      { type: 'orderedList', attrs: { start: 2 }, content: [{ type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Step' }] }] }] },
+      { type: 'image', attrs: { src: 'https://example.com/a.png', alt: 'Diagram', title: null } },
+      { type: 'embed', attrs: { src: 'https://www.youtube.com/embed/dQw4w9WgXcQ', tag: 'iframe' } },
+      {
+        type: 'table',
+        content: [
+          { type: 'tableRow', content: [{ type: 'tableHeader', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'A' }] }] }] },
+          { type: 'tableRow', content: [{ type: 'tableCell', content: [{ type: 'paragraph', content: [{ type: 'text', text: '1' }] }] }] }
+        ]
+      }
+    ]
+  });
+
+  assert.equal(blocksToHtml(blocks), [
+    '<h2>Intro</h2>',
+    '<p>See <a href="https://example.com"><strong>docs</strong></a><br>now</p>',
+    '<ol start="2"><li><p>Step</p></li></ol>',
+    '<img src="https://example.com/a.png" alt="Diagram">',
+    '<p class="embed"><a href="https://www.youtube.com/embed/dQw4w9WgXcQ">https://www.youtube.com/embed/dQw4w9WgXcQ</a></p>',
+    '<table><tr><th><p>A</p></th></tr><tr><td><p>1</p></td></tr></table>'
+  ].join('\n'));
+  assert.deepEqual(htmlToBlocks(''), { type: 'doc', content: [] });
+});
+
+test('only renders http(s) and relative URLs', () => {
+  assert.equal(safeUrl('https://example.com/a'), 'https://example.com/a');
+  assert.equal(safeUrl('/classroom/x?md=1'), '/classroom/x?md=1');
+  assert.equal(safeUrl('#notes'), '#notes');
+  assert.equal(safeUrl('javascript:alert(1)'), null);
+  assert.equal(safeUrl(' JAVA\tSCRIPT:alert(1)'), null);
+  assert.equal(safeUrl('data:text/html,hi'), null);
+  assert.equal(safeUrl(''), null);
+  assert.equal(
+    blocksToHtml(htmlToBlocks('<p><a href="javascript:alert(1)">click</a></p><p><img src="data:image/png;base64,xx" alt="pixel"></p>')),
+    '<p>click</p>\npixel'
+  );
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { courseStructuresFromItems, moduleItem, moduleItemKey } = require('../src/dataset-items');
+const { toComments, toPost } = require('../src/community');
+const community = require('./fixtures/community.json');
+const datasetSchema = require('../dataset_schema.json');
+
+const courseStructure = {
+  title: 'Getting Started',
+  groupSlug: 'test-group',
+  courseId: 'course-1',
+  classroomUrl: 'https://www.skool.com/test-group/classroom/abc',
+  contentFormat: 'markdown',
+  sections: [
+    { courseTitle: 'Getting Started', childrenCourses: [{ Id: 'mod-a', title: 'Welcome', status: 'ok', content: '## Hi' }] },
+    {
+      courseTitle: 'Week 1',
+      childrenCourses: [
+        { Id: 'mod-b', title: 'Basics', status: 'timeout', content: '', error: { message: 'Timed out' }, attempts: 3 },
+        { Id: null, title: 'Draft', breadcrumb: 'Getting Started › Week 1 › Draft', status: 'navigation_error', content: '' }
+      ]
+    }
+  ]
+};
+
+test('keys items by course and module', () => {
+  assert.equal(moduleItemKey(courseStructure, { Id: 'mod-a' }), 'course-1:mod-a');
+  assert.match(moduleItemKey(courseStructure, { Id: null, breadcrumb: 'A › B' }), /^course-1:untitled-[0-9a-f]{12}$/);
+  assert.match(moduleItemKey({ classroomUrl: 'https://www.skool.com/g/classroom/x?md=1' }, { Id: 'm' }), /^[0-9a-f]{12}:m$/);
+});
+
+test('every item has the same fields, whatever the module status', () => {
+  const ok = moduleItem(courseStructure, 0, 0);
+  const failed = moduleItem(courseStructure, 1, 0);
+
+  assert.deepEqual(Object.keys(ok), Object.keys(failed));
+  assert.equal(ok.type, 'module');
+  assert.equal(ok.classroomTitle, 'Getting Started');
+  assert.deepEqual([failed.sectionIndex, failed.moduleIndex, failed.courseTitle], [1, 0, 'Week 1']);
+  assert.equal(failed.error.message, 'Timed out');
+});
+
+test('rebuilds the course structure from items pushed in any order', () => {
+  const items = [moduleItem(courseStructure, 1, 1), moduleItem(courseStructure, 0, 0), moduleItem(courseStructure, 1, 0)];
+  items.push({ ...moduleItem(courseStructure, 1, 0), status: 'ok', content: 'Retried' }); // Same key, pushed again
+  items.push({ type: 'post', itemKey: 'test-group:p1' });
+
+  const [rebuilt] = courseStructuresFromItems(items);
+
+  assert.equal(rebuilt.title, 'Getting Started');
+  assert.equal(rebuilt.contentFormat, 'markdown');
+  assert.deepEqual(rebuilt.sections.map((section) => section.courseTitle), ['Getting Started', 'Week 1']);
+  assert.deepEqual(rebuilt.sections[1].childrenCourses.map((module) => [module.Id, module.content]), [['mod-b', 'Retried'], [null, '']]);
+});
+
+test('keeps a top-level depth of 0', () => {
+  const structure = { ...courseStructure, sections: [{ courseTitle: 'Root', childrenCourses: [{ Id: 'm', title: 'Top', depth: 0 }, { Id: 'n', title: 'Flat' }] }] };
+  assert.deepEqual([moduleItem(structure, 0, 0).depth, moduleItem(structure, 0, 1).depth], [0, null]);
+});
+
+test('declares every field of module and post items in the dataset schema', () => {
+  const declared = Object.keys(datasetSchema.fields.properties);
+  const structure = { ...courseStructure, sections: [{ courseTitle: 'Root', childrenCourses: [{ Id: 'm', title: 'Top', changeStatus: 'added', blocks: {}, assets: [] }] }] };
+  const formatBody = (value) => value;
+  const post = toPost(community.postTrees[1], { groupUrl: 'https://www.skool.com/test-group', categories: new Map(), formatBody });
+  const postItem = { type: 'post', itemKey: `test-group:${post.id}`, groupSlug: 'test-group', ...post, comments: toComments(community.postTrees[1].children, formatBody), commentsError: 'Timed out' };
+
+  for (const item of [moduleItem(structure, 0, 0), postItem]) {
+    assert.deepEqual(Object.keys(item).filter((key) => !declared.includes(key)), [], `undeclared ${item.type} fields`);
+  }
+  const commentFields = Object.keys(datasetSchema.fields.properties.comments.items.properties);
+  assert.deepEqual(Object.keys(postItem.comments[0]).filter((key) => !commentFields.includes(key)), []);
+});
@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { codeBlock, imageSource, isTag, parseEditorHtml, textOf } = require('../src/editor-html');
+
+test('parses editor HTML without scripts, styles and trailing breaks', () => {
+  const nodes = parseEditorHtml('<p>Hi<br class="ProseMirror-trailingBreak"></p><script>x()</script><style>p{}</style>');
+  assert.deepEqual(nodes.map((node) => node.name), ['p']);
+  assert.deepEqual(nodes[0].children.map((node) => node.type), ['text']);
+});
+
+test('reads text, images and code blocks the same way for every converter', () => {
+  const [paragraph, image, pre, bare] = parseEditorHtml('<p>Run <code>npm test</code> now</p><img originalsrc="a.png"><pre><code class="language-js">x\n</code></pre><pre>y</pre>');
+
+  assert.equal(textOf(paragraph), 'Run npm test now');
+  assert.equal(textOf(paragraph.children[2]), ' now', 'siblings stay in place');
+  assert.equal(isTag(paragraph, 'p', 'div'), true);
+  assert.equal(isTag(paragraph.children[0]), false);
+  assert.equal(imageSource(image), 'a.png');
+  assert.deepEqual(codeBlock(pre), { language: 'js', code: 'x' });
+  assert.deepEqual(codeBlock(bare), { language: null, code: 'y' });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { localStorageDir } = require('../../src/local-run');
+
+// One local run over <out>, set up the way bin/skool-scraper.js sets it up, without
+// a browser: "interrupt" stops partway through a classroom with the login saved,
+// "resume" reports what a later run finds. The findings go to <out>/resume.json.
+//
+//   node test/fixtures/local-run-step.js interrupt <out>
+
+const [step, out] = process.argv.slice(2);
+const outDir = path.resolve(out);
+process.env.CRAWLEE_STORAGE_DIR = localStorageDir(outDir);
+
+const { Actor } = require('apify');
+const { SkoolScraper } = require('../../main');
+
+const classroomUrl = 'https://www.skool.com/g/classroom/abc';
+const options = { classroomUrl, email: 'member@example.com' };
+
+Actor.main(async () => {
+  const scraper = new SkoolScraper(options);
+
+  if (step === 'interrupt') {
+    await Actor.setValue('RUN_SUMMARY', { mode: 'classroom' });
+    scraper.browser = { cookies: async () => [{ name: 'auth_token', value: 'abc', domain: '.skool.com' }] };
+    scraper.page = { evaluate: async () => ({ origin: 'https://www.skool.com', entries: {} }) };
+    await scraper.saveSession();
+    Object.assign(scraper.currentState, { step: 'scraping', courses: [{ url: classroomUrl }] });
+    await scraper.loadClassroomState(classroomUrl);
+    scraper.classroomState.modules['mod-1'] = { status: 'done', attempts: 1, result: { status: 'ok', content: 'Hi' } };
+    await scraper.saveState();
+    return;
+  }
+
+  const resumed = await scraper.loadState();
+  const { modules } = await scraper.loadClassroomState(classroomUrl);
+  const session = await (await scraper.sessionStore()).getValue(scraper.sessionKey);
+  fs.writeFileSync(path.join(outDir, 'resume.json'), JSON.stringify({
+    resumed,
+    modules: Object.keys(modules),
+    sessionCookies: session ? session.cookies.map((cookie) => cookie.name) : [],
+    earlierSummary: await Actor.getValue('RUN_SUMMARY')
+  }));
+});
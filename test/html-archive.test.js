@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildArchiveFiles, buildHtmlArchive } = require('../src/html-archive');
+const { htmlToBlocks } = require('../src/content-blocks');
+
+function course(modules) {
+  return {
+    title: 'Growth Course',
+    sections: [{ courseTitle: 'Basics', path: ['Growth Course', 'Basics'], childrenCourses: modules }]
+  };
+}
+
+test('renders Markdown lessons with lists, emphasis, code and tables', () => {
+  const content = [
+    '## Setup',
+    '- item **bold** file\\_name',
+    '- second [docs](https://example.com/docs)',
+    '```js\nconst a = 1 < 2;\n```',
+    '| A | B |\n| --- | --- |\n| 1 | 2 |',
+    '<script>alert(1)</script>'
+  ].join('\n\n');
+  const files = buildArchiveFiles(course([{ title: 'Intro', content }]), { contentFormat: 'markdown', generatedAt: 'now' });
+  const page = files['lesson-001-intro.html'];
+
+  assert.match(page, /<h2>Setup<\/h2>/);
+  assert.match(page, /<ul><li><p>item <strong>bold<\/strong> file_name<\/p><\/li><li><p>second <a href="https:\/\/example.com\/docs">docs<\/a><\/p><\/li><\/ul>/);
+  assert.match(page, /<pre><code class="language-js">const a = 1 &lt; 2;<\/code><\/pre>/);
+  assert.match(page, /<table><tr><th><p>A<\/p><\/th><th><p>B<\/p><\/th><\/tr><tr><td><p>1<\/p><\/td><td><p>2<\/p><\/td><\/tr><\/table>/);
+  assert.doesNotMatch(page, /<script>/);
+  assert.doesNotMatch(page, /\*\*|\\_/);
+});
+
+test('keeps only http(s) and relative links and images', () => {
+  const blocks = htmlToBlocks([
+    '<p><a href="javascript:alert(1)">bad</a> <a href=" JaVa&#9;script:alert(1)">tab</a> <a href="/classroom/x">relative</a></p>',
+    '<p><img src="data:text/html;base64,xx" alt="inline"></p>',
+    '<iframe src="javascript:alert(1)"></iframe>'
+  ].join(''));
+  const files = buildArchiveFiles(course([
+    { title: 'Blocks', blocks, videoLink: 'javascript:alert(2)', resources: [{ title: 'Sheet', url: 'vbscript:x', type: 'file' }] },
+    { title: 'Markdown', content: '[click](javascript:alert(3)) ![x](data:image/png;base64,xx)' },
+    { title: 'Html', content: '<p><a href="javascript:alert(4)">html</a> <a href="https://example.com">ok</a></p>' }
+  ]), { contentFormat: 'html', generatedAt: 'now' });
+
+  const pages = Object.values(files).join('\n');
+  assert.doesNotMatch(pages, /(href|src)="\s*(javascript|vbscript|data):/i);
+  assert.match(files['lesson-001-blocks.html'], /bad tab <a href="\/classroom\/x">relative<\/a>/);
+  assert.match(files['lesson-001-blocks.html'], /🎬 Video: javascript:alert\(2\)<\/p>/);
+  assert.match(files['lesson-001-blocks.html'], /<li>Sheet <span class="meta">/);
+  assert.match(files['lesson-003-html.html'], /html <a href="https:\/\/example.com">ok<\/a>/);
+
+  const markdownFiles = buildArchiveFiles(course([{ title: 'Markdown', content: '[click](javascript:alert(3))' }]), { contentFormat: 'markdown' });
+  assert.doesNotMatch(markdownFiles['lesson-001-markdown.html'], /<a href="javascript/);
+});
+
+test('zips the site into a folder named after the course', async () => {
+  const { buffer, files } = await buildHtmlArchive(course([{ title: 'Intro', content: 'See https://example.com' }]), { generatedAt: 'now' });
+  assert.deepEqual(files, ['style.css', 'index.html', 'lesson-001-intro.html']);
+  assert.equal(buffer.subarray(0, 2).toString(), 'PK');
+});
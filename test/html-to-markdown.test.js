@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToMarkdown } = require('../src/html-to-markdown');
+
+test('keeps the text after inline code and the blocks after a code block', () => {
+  assert.equal(htmlToMarkdown('<p>Run <code>npm test</code> before <code>git push</code> please.</p>'), 'Run `npm test` before `git push` please.');
+  assert.equal(htmlToMarkdown('<pre>line 1\nline 2</pre><p>After the code</p>'), '```\nline 1\nline 2\n```\n\nAfter the code');
+});
+
+test('converts lesson editor HTML with its structure and formatting', () => {
+  const html = [
+    '<h2>Intro</h2>',
+    '<p>Some <strong>bold</strong>, <em>italic</em> and <s>old</s> text with a <a href="https://example.com">link</a> and snake_case *stars*.</p>',
+    '<ul><li><p>One</p><ul><li><p>Nested</p></li></ul></li><li><p>Two</p></li></ul>',
+    '<ol start="3"><li><p>Three</p></li></ol>',
+    '<blockquote><p>Quote</p></blockquote>',
+    '<pre><code class="language-js">const a = 1;\n</code></pre>',
+    '<p><img src="https://example.com/a.png" alt="Diagram"></p>',
+    '<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>',
+    '<hr><script>alert(1)</script>'
+  ].join('');
+
+  assert.equal(htmlToMarkdown(html), [
+    '## Intro',
+    'Some **bold**, *italic* and ~~old~~ text with a [link](https://example.com) and snake\\_case \\*stars\\*.',
+    '- One\n  - Nested\n- Two',
+    '3. Three',
+    '> Quote',
+    '```js\nconst a = 1;\n```',
+    '![Diagram](https://example.com/a.png)',
+    '| A | B |\n| --- | --- |\n| 1 | 2 |',
+    '---'
+  ].join('\n\n'));
+  assert.equal(htmlToMarkdown(''), '');
+});
+
+test('escapes block markers at the start of a line, backticks in code and unusual link targets', () => {
+  assert.equal(htmlToMarkdown('<p>1. not a list</p><p># not a heading</p><p>- not an item</p><p>&gt; not a quote</p>'),
+    '1\\. not a list\n\n\\# not a heading\n\n\\- not an item\n\n\\> not a quote');
+  assert.equal(htmlToMarkdown('<p>Line<br>+ two<br>---</p><ul><li><p>2) nested?</p></li></ul>'), 'Line  \n\\+ two  \n\\---\n\n- 2\\) nested?');
+  assert.equal(htmlToMarkdown('<p>#hashtag and -5 degrees</p>'), '#hashtag and -5 degrees');
+
+  assert.equal(htmlToMarkdown('<p>Use <code>a`b</code> or <code>`tick</code></p>'), 'Use ``a`b`` or `` `tick ``');
+  assert.equal(htmlToMarkdown('<pre><code>```js\nx\n```</code></pre>'), '````\n```js\nx\n```\n````');
+
+  assert.equal(htmlToMarkdown('<p><a href="https://example.com/a (1).pdf">file</a> <img src="https://example.com/b c.png" alt="pic"></p>'),
+    '[file](<https://example.com/a (1).pdf>) ![pic](<https://example.com/b c.png>)');
+  assert.equal(htmlToMarkdown('<p><a href="https://example.com/a_(b)"></a></p>'), '[https://example.com/a\\_(b)](<https://example.com/a_(b)>)');
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { bodyToHtml, findModuleJson, lessonBodyFromNextData } = require('../src/lesson-content');
+const course = require('./fixtures/course.json');
+
+const nextData = { props: { pageProps: { course } } };
+
+test('finds a module nested in the course tree', () => {
+  assert.equal(findModuleJson(nextData, 'mod-basics').metadata.title, 'The Basics');
+  assert.equal(findModuleJson(nextData, 'missing'), null);
+  assert.equal(findModuleJson(null, 'mod-basics'), null);
+});
+
+test('reads a [v2] TipTap body from the module metadata', () => {
+  const body = lessonBodyFromNextData(nextData, 'mod-json-body');
+
+  assert.equal(body.field, 'metadata.desc');
+  assert.equal(body.html, '<h2>Lesson notes</h2>\n<p>Stored as <strong>JSON</strong> in the page payload.</p>');
+});
+
+test('returns null when the module has no body in its JSON', () => {
+  assert.equal(lessonBodyFromNextData(nextData, 'mod-welcome'), null);
+});
+
+test('renders HTML, JSON and plain text bodies', () => {
+  assert.equal(bodyToHtml('<p>Already <em>HTML</em></p>'), '<p>Already <em>HTML</em></p>');
+  assert.equal(bodyToHtml({ type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Hi' }] }] }), '<p>Hi</p>');
+  assert.equal(bodyToHtml('First line\nsecond line\n\nA & B'), '<p>First line<br>second line</p>\n<p>A &amp; B</p>');
+  assert.equal(bodyToHtml('   '), null);
+  assert.equal(bodyToHtml(42), null);
+});
@@ -0,0 +1,117 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { inputFromArgs, localStorageDir, parseCliArgs, promptCredentials, writeLocalOutput } = require('../src/local-run');
+
+test('builds the input from arguments, an input file and the environment', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skool-cli-'));
+  const inputFile = path.join(dir, 'input.json');
+  fs.writeFileSync(inputFile, JSON.stringify({ maxModules: 3, outputFormats: ['html'], email: 'file@example.com' }));
+
+  const single = inputFromArgs(parseCliArgs(['--classroom', 'https://www.skool.com/g/classroom/a', '--format', 'xlsx,chunks']), {
+    SKOOL_EMAIL: 'env@example.com',
+    SKOOL_PASSWORD: 'secret'
+  });
+  assert.deepEqual(single, {
+    classroomUrl: 'https://www.skool.com/g/classroom/a',
+    outputFormats: ['xlsx', 'chunks'],
+    email: 'env@example.com',
+    password: 'secret',
+    sessionCookies: undefined
+  });
+
+  const args = parseCliArgs(['--classroom', 'https://a', '--classroom', 'https://b', '--input', inputFile, '--content-format', 'markdown']);
+  const several = inputFromArgs(args, { SKOOL_EMAIL: 'env@example.com' });
+  assert.deepEqual(several.classroomUrls, ['https://a', 'https://b']);
+  assert.deepEqual([several.maxModules, several.outputFormats, several.contentFormat], [3, ['html'], 'markdown']);
+  assert.equal(several.email, 'file@example.com', 'the input file wins over the environment');
+  assert.equal(args.out, './skool-output');
+
+  assert.throws(() => parseCliArgs(['--classroom']), /argument missing/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('asks for missing credentials on a terminal without echoing the password', async () => {
+  const stdin = new PassThrough();
+  stdin.isTTY = true;
+  const stdout = new PassThrough();
+  let printed = '';
+  stdout.on('data', (chunk) => {
+    printed += chunk;
+  });
+
+  const answers = promptCredentials({ classroomUrl: 'https://a' }, { stdin, stdout });
+  stdin.write('me@example.com\n');
+  await new Promise((resolve) => setImmediate(resolve));
+  stdin.write('hunter2\n');
+
+  assert.deepEqual(await answers, { classroomUrl: 'https://a', email: 'me@example.com', password: 'hunter2' });
+  assert.match(printed, /Skool password: /);
+  assert.doesNotMatch(printed, /hunter2/);
+
+  const piped = new PassThrough();
+  assert.deepEqual(await promptCredentials({ classroomUrl: 'https://a' }, { stdin: piped, stdout }), { classroomUrl: 'https://a' });
+  assert.deepEqual(await promptCredentials({ sessionCookies: 'a=b' }, { stdin, stdout }), { sessionCookies: 'a=b' });
+});
+
+test('writes dataset items and records to plain files, without state or the login', async () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'skool-out-'));
+  const records = {
+    'course_structure_2024.xlsx': Buffer.from('xlsx'),
+    'classroom_chunks_2024.jsonl': '{"id":"a"}\n',
+    RUN_SUMMARY: { mode: 'classroom', courses: [] },
+    'asset-abc123.png': Buffer.from('png'),
+    SCRAPER_SESSION: { cookies: [{ name: 'auth_token' }] },
+    'SCRAPER_STATE-123': {},
+    'CLASSROOM_STATE-456': {},
+    INPUT: { password: 'secret' }
+  };
+  const dataset = { forEach: async (callback) => [{ itemKey: 'c:1' }, { itemKey: 'c:2' }].forEach(callback) };
+  const store = {
+    forEachKey: async (callback) => {
+      for (const key of Object.keys(records)) {
+        await callback(key);
+      }
+    },
+    getValue: async (key) => records[key]
+  };
+
+  const { items, files } = await writeLocalOutput(outDir, { dataset, store });
+
+  assert.equal(items, 2);
+  assert.deepEqual(files, ['course_structure_2024.xlsx', 'classroom_chunks_2024.jsonl', 'RUN_SUMMARY.json', path.join('assets', 'asset-abc123.png')]);
+  assert.equal(fs.readFileSync(path.join(outDir, 'items.jsonl'), 'utf8'), '{"itemKey":"c:1"}\n{"itemKey":"c:2"}\n');
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outDir, 'RUN_SUMMARY.json'), 'utf8')), records.RUN_SUMMARY);
+  assert.equal(fs.readFileSync(path.join(outDir, 'assets', 'asset-abc123.png'), 'utf8'), 'png');
+  assert.ok(!fs.existsSync(path.join(outDir, 'SCRAPER_SESSION.json')));
+  fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+test('a second local run over the same output directory resumes the first and reuses its login', () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'skool-out-'));
+  assert.equal(localStorageDir(outDir, {}), path.join(outDir, 'storage'));
+  assert.equal(localStorageDir(outDir, { CRAWLEE_STORAGE_DIR: '/elsewhere' }), '/elsewhere');
+
+  const env = { ...process.env };
+  delete env.CRAWLEE_STORAGE_DIR;
+  delete env.ACTOR_RUN_ID;
+  const run = (step) => execFileSync(process.execPath, [path.join(__dirname, 'fixtures', 'local-run-step.js'), step, outDir], {
+    env,
+    stdio: 'ignore',
+    timeout: 60000
+  });
+  run('interrupt');
+  run('resume');
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outDir, 'resume.json'), 'utf8')), {
+    resumed: true,
+    modules: ['mod-1'],
+    sessionCookies: ['auth_token'],
+    earlierSummary: null
+  });
+  fs.rmSync(outDir, { recursive: true, force: true });
+});
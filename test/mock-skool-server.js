@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// A local stand-in for skool.com, serving just enough for the scraper to run
+// end to end: a login form, classroom pages with a __NEXT_DATA__ payload built
+// from fixtures/course.json and lesson bodies from fixtures/lessons/<id>.html.
+//
+//   GET  /login                        login form, or a redirect home when logged in
+//   POST /login                        sets the auth_token cookie on valid credentials of one of `accounts`
+//   GET  /                             home page; its __NEXT_DATA__ names the logged-in user like Skool's
+//   GET  /<group>/classroom/<course>   classroom page; ?md=<id> adds that lesson's editor body
+//                                      and its resource panel (fixtures/lessons/<id>.resources.html)
+//   GET  /<group>                      community feed from fixtures/community.json, ?p=<page> and ?c=<category>
+//   GET  /<group>/<post>               a post with its comments
+//   GET  anything in `captionFiles`     caption files and track lists of video providers, registered by the tests
+//
+// Group pages redirect to /login without a valid cookie, like Skool does.
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Posts per feed page; small so the fixture spans several pages
+const FEED_PAGE_SIZE = 2;
+
+const DEFAULT_CREDENTIALS = { email: 'member@example.com', password: 'correct-horse' };
+
+// A second member, for tests that share one key-value store between accounts
+const OTHER_CREDENTIALS = { email: 'other@example.com', password: 'battery-staple' };
+
+function readFixture(...parts) {
+  const file = path.join(FIXTURES, ...parts);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function page(title, body, nextData) {
+  const script = nextData
+    ? `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script>`
+    : '';
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>
+${body}
+${script}
+</body>
+</html>`;
+}
+
+function loginPage(error) {
+  return page('Log In | Skool', `
+<form method="post" action="/login">
+  ${error ? `<p class="error">${error}</p>` : ''}
+  <input type="email" name="email">
+  <input type="password" name="password">
+  <button type="submit">Log In</button>
+</form>`);
+}
+
+function parseCookies(header) {
+  return Object.fromEntries(
+    String(header || '')
+      .split(';')
+      .map((pair) => pair.trim().split('='))
+      .filter(([name]) => name)
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+}
+
+class MockSkoolServer {
+  constructor({
+    accounts = [DEFAULT_CREDENTIALS, OTHER_CREDENTIALS],
+    course = JSON.parse(readFixture('course.json')),
+    community = JSON.parse(readFixture('community.json'))
+  } = {}) {
+    this.accounts = accounts;
+    this.course = course;
+    this.community = community;
+    this.tokens = new Map(); // auth_token → email of the account it logs in
+    this.requests = []; // Path and query of every page request, in order
+    this.lastRequestHeaders = null; // Headers of the latest page request
+    this.slowModules = new Map(); // Module ID → delay in ms before the lesson page responds
+    this.onLesson = null; // Called with the module ID whenever a lesson page is requested
+    this.captionFiles = new Map(); // Path and query → body, standing in for video providers' caption endpoints
+    this.timers = new Set();
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.stack);
+      });
+    });
+  }
+
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async close() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  // Number of times a lesson page was requested
+  lessonHits(moduleId) {
+    return this.requests.filter((request) => request.endsWith(`md=${moduleId}`)).length;
+  }
+
+  classroomUrl(courseSlug = 'getting-started', groupSlug = 'test-group') {
+    return `${this.url}/${groupSlug}/classroom/${courseSlug}`;
+  }
+
+  isLoggedIn(req) {
+    return this.tokens.has(parseCookies(req.headers.cookie).auth_token);
+  }
+
+  // Email of the account the request is logged in as
+  accountOf(req) {
+    return this.tokens.get(parseCookies(req.headers.cookie).auth_token) || null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    if (url.pathname === '/favicon.ico') {
+      return this.send(res, 404, '');
+    }
+    this.requests.push(`${url.pathname}${url.search}`);
+    this.lastRequestHeaders = req.headers;
+
+    const captionFile = this.captionFiles.get(`${url.pathname}${url.search}`);
+    if (captionFile !== undefined) {
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end(captionFile);
+    }
+
+    if (url.pathname === '/login') {
+      return this.handleLogin(req, res);
+    }
+
+    const classroomMatch = url.pathname.match(/^\/([\w-]+)\/classroom\/([\w-]+)$/);
+    if (classroomMatch) {
+      if (!this.isLoggedIn(req)) {
+        return this.redirect(res, '/login');
+      }
+      return this.handleClassroom(res, url.searchParams.get('md'));
+    }
+
+    const groupMatch = url.pathname.match(/^\/([\w-]+)(?:\/([\w-]+))?$/);
+    if (groupMatch && groupMatch[2] !== 'classroom') {
+      if (!this.isLoggedIn(req)) {
+        return this.redirect(res, '/login');
+      }
+      return groupMatch[2] ? this.handlePost(res, groupMatch[2]) : this.handleFeed(res, url.searchParams);
+    }
+
+    if (url.pathname === '/') {
+      const email = this.accountOf(req);
+      const self = email ? { user: { id: `user-${this.accounts.findIndex((account) => account.email === email) + 1}`, email } } : null;
+      return this.send(res, 200, page('Skool', '<h1>Your communities</h1>', { props: { pageProps: { self } } }));
+    }
+    return this.send(res, 404, page('Not found', '<h1>404</h1>'));
+  }
+
+  async handleLogin(req, res) {
+    if (req.method === 'POST') {
+      const form = await readBody(req);
+      const account = this.accounts.find(({ email, password }) => form.get('email') === email && form.get('password') === password);
+      if (!account) {
+        return this.send(res, 200, loginPage('Incorrect email or password'));
+      }
+      const token = crypto.randomBytes(16).toString('hex');
+      this.tokens.set(token, account.email);
+      return this.redirect(res, '/', { 'Set-Cookie': `auth_token=${token}; Path=/; HttpOnly` });
+    }
+
+    if (this.isLoggedIn(req)) {
+      return this.redirect(res, '/');
+    }
+    return this.send(res, 200, loginPage());
+  }
+
+  async handleClassroom(res, moduleId) {
+    let lesson = '';
+    if (moduleId) {
+      if (this.onLesson) {
+        this.onLesson(moduleId);
+      }
+      const delay = this.slowModules.get(moduleId);
+      if (delay) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            resolve();
+          }, delay);
+          this.timers.add(timer);
+        });
+      }
+      const body = readFixture('lessons', `${moduleId}.html`);
+      lesson = body ? `<div class="tiptap ProseMirror skool-editor2" contenteditable="false">${body}</div>` : '';
+      const resources = readFixture('lessons', `${moduleId}.resources.html`);
+      if (resources) {
+        lesson += `<aside class="styled__ResourcesPanel-sc-1x2y3z">${resources}</aside>`;
+      }
+    }
+
+    const nextData = { props: { pageProps: { course: this.course } } };
+    return this.send(res, 200, page('Classroom | Skool', `<main>${lesson}</main>`, nextData));
+  }
+
+  // Feed pages list posts without their comments, like Skool's
+  async handleFeed(res, searchParams) {
+    const pageNumber = parseInt(searchParams.get('p'), 10) || 1;
+    const category = searchParams.get('c');
+    const postTrees = this.community.postTrees
+      .filter((postTree) => !category || postTree.post.labelId === category)
+      .map(({ post }) => ({ post }));
+
+    const nextData = {
+      props: {
+        pageProps: {
+          labels: this.community.labels,
+          postTrees: postTrees.slice((pageNumber - 1) * FEED_PAGE_SIZE, pageNumber * FEED_PAGE_SIZE),
+          totalPages: Math.max(Math.ceil(postTrees.length / FEED_PAGE_SIZE), 1)
+        }
+      }
+    };
+    return this.send(res, 200, page('Community | Skool', '<main></main>', nextData));
+  }
+
+  async handlePost(res, postName) {
+    const postTree = this.community.postTrees.find(({ post }) => post.name === postName);
+    if (!postTree) {
+      return this.send(res, 404, page('Not found', '<h1>404</h1>'));
+    }
+    return this.send(res, 200, page(`${postTree.post.metadata.title} | Skool`, '<main></main>', { props: { pageProps: { postTree } } }));
+  }
+
+  redirect(res, location, headers = {}) {
+    res.writeHead(302, { Location: location, ...headers });
+    res.end();
+  }
+
+  send(res, status, html) {
+    if (res.destroyed) {
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  }
+}
+
+module.exports = { DEFAULT_CREDENTIALS, MockSkoolServer, OTHER_CREDENTIALS };
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MODULE_STATUS, ModuleError, classifyError, countStatuses, isFailure, moduleStatus } = require('../src/module-status');
+
+test('classifies errors thrown while scraping a module', () => {
+  const timeout = new Error('Navigation timeout of 50000 ms exceeded');
+  timeout.name = 'TimeoutError';
+  assert.deepEqual(classifyError(timeout), {
+    status: 'timeout',
+    error: { message: 'Navigation timeout of 50000 ms exceeded', name: 'TimeoutError', retryable: true }
+  });
+  assert.equal(classifyError(new Error('net::ERR_CONNECTION_RESET at https://www.skool.com')).status, 'navigation_error');
+  assert.equal(classifyError(new Error('Rate limited by Skool after 5 attempts: HTTP 429')).status, 'navigation_error');
+  assert.deepEqual(classifyError(new TypeError('Cannot read properties of null')), {
+    status: 'extraction_error',
+    error: { message: 'Cannot read properties of null', name: 'TypeError', retryable: true }
+  });
+
+  assert.deepEqual(classifyError(new ModuleError(MODULE_STATUS.NAVIGATION_ERROR, 'HTTP 404', { retryable: false, httpStatus: 404 })), {
+    status: 'navigation_error',
+    error: { message: 'HTTP 404', name: 'ModuleError', retryable: false, httpStatus: 404 }
+  });
+  assert.equal(classifyError(new ModuleError(MODULE_STATUS.AUTH_LOST, 'Redirected to the login page')).error.retryable, true);
+  assert.equal(classifyError(new ModuleError(MODULE_STATUS.LOCKED, 'Locked')).error.retryable, false);
+});
+
+test('derives statuses of dataset items, including items from before statuses existed', () => {
+  assert.equal(moduleStatus({ status: 'timeout', content: '' }), 'timeout');
+  assert.equal(moduleStatus({ content: 'Lesson text' }), 'ok');
+  assert.equal(moduleStatus({ content: 'No content scraped' }), 'empty');
+  assert.deepEqual(countStatuses([{ status: 'ok' }, { content: 'x' }, { content: '' }, { status: 'locked' }]), { ok: 2, empty: 1, locked: 1 });
+
+  assert.deepEqual(['ok', 'empty', null, 'locked', 'timeout'].map(isFailure), [false, false, false, true, true]);
+});
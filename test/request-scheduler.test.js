@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler, parseRetryAfter } = require('../src/request-scheduler');
+const { SkoolScraper } = require('../main');
+
+// Resolves to true once the promise has settled, without waiting for it
+async function settled(promise) {
+  let done = false;
+  promise.then(() => {
+    done = true;
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+  return done;
+}
+
+test('spaces requests one gap plus jitter apart', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.mock.method(Math, 'random', () => 1);
+  const scheduler = new RequestScheduler({ minDelay: 1000, jitter: 0.3 });
+
+  assert.equal(await settled(scheduler.waitForSlot()), true, 'the first request goes right away');
+  const second = scheduler.waitForSlot();
+  const third = scheduler.waitForSlot();
+  assert.equal(scheduler.nextSlot, 3900, 'each caller reserves its own slot');
+
+  t.mock.timers.tick(1299);
+  assert.equal(await settled(second), false);
+  t.mock.timers.tick(1);
+  assert.equal(await settled(second), true);
+  t.mock.timers.tick(1299);
+  assert.equal(await settled(third), false);
+  t.mock.timers.tick(1);
+  assert.equal(await settled(third), true);
+
+  Math.random.mock.mockImplementation(() => 0);
+  const noJitter = new RequestScheduler({ minDelay: 1000, jitter: 0.3 });
+  await noJitter.waitForSlot();
+  assert.equal(noJitter.nextSlot, Date.now() + 1000);
+});
+
+test('backs off while throttled and recovers step by step', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 10000 });
+  const scheduler = new RequestScheduler({ minDelay: 1000, maxBackoffFactor: 4 });
+
+  scheduler.reportThrottled();
+  assert.equal(scheduler.currentDelay(), 2000);
+  assert.equal(scheduler.nextSlot, 12000, 'no request until the backoff has passed');
+
+  scheduler.reportThrottled(30000);
+  assert.equal(scheduler.currentDelay(), 4000);
+  assert.equal(scheduler.nextSlot, 40000, 'Retry-After wins when it is longer');
+
+  scheduler.reportThrottled();
+  assert.equal(scheduler.currentDelay(), 4000, 'the backoff is capped');
+
+  scheduler.reportSuccess();
+  assert.equal(scheduler.currentDelay(), 3000);
+  for (let i = 0; i < 10; i++) {
+    scheduler.reportSuccess();
+  }
+  assert.equal(scheduler.currentDelay(), 1000, 'never below the minimum delay');
+});
+
+test('still backs off without a delay between requests', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const scheduler = new RequestScheduler({ minDelay: 0 });
+  assert.equal(scheduler.currentDelay(), 0);
+
+  scheduler.reportThrottled();
+  assert.equal(scheduler.currentDelay(), 2000);
+  assert.equal(scheduler.nextSlot, 2000);
+  scheduler.reportThrottled();
+  assert.equal(scheduler.currentDelay(), 4000);
+
+  for (let i = 0; i < 10; i++) {
+    scheduler.reportSuccess();
+  }
+  assert.equal(scheduler.currentDelay(), 0, 'back to no delay once recovered');
+});
+
+test('parses Retry-After headers and keeps an explicit zero delay', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T12:00:00Z') });
+  assert.equal(parseRetryAfter('120'), 120000);
+  assert.equal(parseRetryAfter('Wed, 01 May 2024 12:00:30 GMT'), 30000);
+  assert.equal(parseRetryAfter('Wed, 01 May 2024 11:00:00 GMT'), 0);
+  assert.equal(parseRetryAfter('soon'), 0);
+  assert.equal(parseRetryAfter(undefined), 0);
+
+  assert.equal(new SkoolScraper({ delayBetweenRequests: 0 }).scheduler.minDelay, 0);
+  assert.equal(new SkoolScraper({}).scheduler.minDelay, 2000);
+});
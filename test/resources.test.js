@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatFileSize, mergeResources, parseFileSize, resourcesFromMetadata, resourcesFromPanel } = require('../src/resources');
+const { findModuleJson } = require('../src/lesson-content');
+const course = require('./fixtures/course.json');
+
+test('reads resources stored as a JSON string in the module metadata', () => {
+  const { metadata } = findModuleJson({ props: { pageProps: { course } } }, 'mod-basics');
+
+  assert.deepEqual(resourcesFromMetadata(metadata), [
+    { title: 'Workbook', url: 'https://example.com/files/workbook.pdf?sig=abc', type: 'file', fileSize: null, source: 'metadata' },
+    { title: 'Community rules', url: 'https://example.com/rules', type: 'link', fileSize: null, source: 'metadata' }
+  ]);
+  assert.deepEqual(resourcesFromMetadata({ resources: 'not json' }), []);
+  assert.deepEqual(resourcesFromMetadata(), []);
+});
+
+test('takes the file size out of panel link titles', () => {
+  const [resource] = resourcesFromPanel([{ title: 'Cheat sheet 320 KB', url: 'https://example.com/files/cheatsheet.pdf' }]);
+
+  assert.equal(resource.title, 'Cheat sheet');
+  assert.equal(resource.fileSize, 320 * 1024);
+  assert.equal(resource.type, 'file');
+  assert.equal(resource.source, 'panel');
+});
+
+test('merges resources by URL, ignoring signed query strings', () => {
+  const merged = mergeResources(
+    [{ title: 'Workbook', url: 'https://example.com/workbook.pdf?sig=abc', type: 'file', fileSize: null, source: 'metadata' }],
+    [{ title: 'Workbook.pdf', url: 'https://example.com/workbook.pdf?sig=xyz', type: 'file', fileSize: 2516582, source: 'panel' }]
+  );
+
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].title, 'Workbook');
+  assert.equal(merged[0].fileSize, 2516582);
+});
+
+test('parses and formats file sizes', () => {
+  assert.equal(parseFileSize('2.4 MB'), 2516582);
+  assert.equal(parseFileSize('1,5 kb'), 1536);
+  assert.equal(parseFileSize(512), 512);
+  assert.equal(parseFileSize('large'), null);
+  assert.equal(formatFileSize(2516582), '2.4 MB');
+  assert.equal(formatFileSize(512), '512 B');
+  assert.equal(formatFileSize(null), '');
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the Apify storage of the test run away from the project's own
+process.env.CRAWLEE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'skool-state-test-'));
+
+const { Actor } = require('apify');
+const { SkoolScraper } = require('../main');
+
+const classroomUrl = 'https://www.skool.com/g/classroom/abc';
+const courses = [{ url: classroomUrl }, { url: 'https://www.skool.com/g/classroom/def' }];
+
+before(async () => {
+  await Actor.init();
+});
+
+after(async () => {
+  await Actor.exit({ exit: false });
+  fs.rmSync(process.env.CRAWLEE_STORAGE_DIR, { recursive: true, force: true });
+});
+
+// A run that got through the first course and one module of the second, then stopped
+async function interruptedRun(options) {
+  const scraper = new SkoolScraper({ classroomUrl, ...options });
+  Object.assign(scraper.currentState, { step: 'scraping', courses, currentCourseIndex: 1 });
+  await scraper.loadClassroomState(classroomUrl);
+  scraper.classroomState.modules['mod-1'] = { status: 'done', attempts: 1, result: { status: 'ok', content: 'Hi' } };
+  await scraper.saveState();
+  return scraper;
+}
+
+test('a later run resumes an interrupted one from the named state store', async () => {
+  const first = await interruptedRun({ stateStoreName: 'state-test' });
+  assert.equal(await Actor.getValue(first.stateKey), null, 'nothing in the default store, which every run starts empty');
+
+  const next = new SkoolScraper({ classroomUrl, stateStoreName: 'state-test' });
+  assert.equal(await next.loadState(), true);
+  assert.deepEqual(next.currentState.courses, courses);
+  assert.equal(next.currentState.currentCourseIndex, 0, 'from the first course, whose items are not in the new dataset');
+  const { modules, pushedKeys } = await next.loadClassroomState(classroomUrl);
+  assert.equal(modules['mod-1'].status, 'done');
+  assert.deepEqual(pushedKeys, {});
+
+  const expired = new SkoolScraper({ classroomUrl, stateStoreName: 'state-test', stateTtlMinutes: 1 });
+  const store = await expired.stateStore();
+  await store.setValue(expired.stateKey, { ...(await store.getValue(expired.stateKey)), timestamp: Date.now() - 120000 });
+  assert.equal(await expired.loadState(), false);
+  assert.equal(new SkoolScraper({}).stateStoreName, 'skool-state');
+});
+
+test('a finished run is not resumed, but a migrated run keeps its own progress', async (t) => {
+  const finished = await interruptedRun({ stateStoreName: 'state-finished-test' });
+  finished.currentState.step = 'completed';
+  await finished.saveState();
+
+  const next = new SkoolScraper({ classroomUrl, stateStoreName: 'state-finished-test' });
+  assert.equal(await next.loadState(), false);
+  assert.equal(next.currentState.step, 'initializing');
+  assert.deepEqual((await next.loadClassroomState(classroomUrl)).modules, {}, 'its classroom progress is ignored too');
+
+  t.after(() => {
+    delete process.env.ACTOR_RUN_ID;
+  });
+  process.env.ACTOR_RUN_ID = 'run-1';
+  await interruptedRun({ stateStoreName: 'state-migration-test' });
+  const afterMigration = new SkoolScraper({ classroomUrl, stateStoreName: 'state-migration-test', resetState: true });
+  assert.equal(await afterMigration.loadState(), true);
+  assert.equal(afterMigration.currentState.currentCourseIndex, 1, 'the same run continues where it stopped');
+});
@@ -0,0 +1,429 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, afterEach, before, beforeEach, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the Apify storage of the test run away from the project's own
+process.env.CRAWLEE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'skool-scraper-test-'));
+
+const { Actor } = require('apify');
+const puppeteer = require('puppeteer');
+const { SkoolScraper, scrapeCourse } = require('../main');
+const { sessionStoreKey } = require('../src/session-cookies');
+const { DEFAULT_CREDENTIALS, MockSkoolServer, OTHER_CREDENTIALS } = require('./mock-skool-server');
+
+// These tests drive a real headless Chrome against the mock server, and fail
+// when Chrome can't start. On machines without a usable Chrome (no browser
+// download, missing system libraries) SKIP_BROWSER_TESTS=1 skips them instead.
+const SKIP_BROWSER_TESTS = process.env.SKIP_BROWSER_TESTS === '1';
+let browserError = null;
+
+let server;
+let scrapers;
+
+function createScraper(options = {}) {
+  const scraper = new SkoolScraper({
+    baseUrl: server.url,
+    delayBetweenRequests: 1,
+    navigationTimeout: 3000,
+    maxRetries: 0,
+    ...options
+  });
+  // The mock server answers instantly, no need to wait between requests
+  scraper.scheduler.waitForSlot = async () => {};
+  scrapers.push(scraper);
+  return scraper;
+}
+
+// Log in and open a classroom; each test uses its own course slug so saved progress doesn't leak between tests
+async function openClassroom(scraper, courseSlug) {
+  await scraper.init();
+  await scraper.login(DEFAULT_CREDENTIALS.email, DEFAULT_CREDENTIALS.password);
+  await scraper.navigateToClassroom(server.classroomUrl(courseSlug));
+}
+
+// Module items pushed for one classroom, in push order
+async function datasetItems(classroomUrl) {
+  const { items } = await (await Actor.openDataset()).getData();
+  return items.filter((item) => item.classroomUrl === classroomUrl);
+}
+
+// The named store saved logins go to
+function sessionStore() {
+  return Actor.openKeyValueStore('skool-sessions');
+}
+
+function modulesById(courseStructure) {
+  return new Map(courseStructure.sections.flatMap((section) => section.childrenCourses).map((module) => [module.Id, module]));
+}
+
+before(async () => {
+  try {
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+    await browser.close();
+  } catch (error) {
+    if (!SKIP_BROWSER_TESTS) {
+      throw new Error(`Chrome could not be launched (set SKIP_BROWSER_TESTS=1 to skip the browser tests): ${error.message}`);
+    }
+    browserError = error;
+  }
+  await Actor.init();
+});
+
+after(async () => {
+  await Actor.exit({ exit: false });
+  fs.rmSync(process.env.CRAWLEE_STORAGE_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  if (browserError) {
+    return;
+  }
+  scrapers = [];
+  server = await new MockSkoolServer().start();
+  for (const { email } of [DEFAULT_CREDENTIALS, OTHER_CREDENTIALS]) {
+    await (await sessionStore()).setValue(sessionStoreKey({ email }), null);
+  }
+});
+
+afterEach(async () => {
+  if (!server) {
+    return;
+  }
+  for (const scraper of scrapers) {
+    await scraper.close();
+  }
+  await server.close();
+  server = null;
+});
+
+test('login fills the form and saves the session', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper();
+  await scraper.init();
+  await scraper.login(DEFAULT_CREDENTIALS.email, DEFAULT_CREDENTIALS.password);
+
+  assert.ok(server.requests.includes('/'), 'redirected home after posting the form');
+  assert.equal(await scraper.isLoggedIn(), true);
+
+  const session = await (await sessionStore()).getValue(sessionStoreKey(DEFAULT_CREDENTIALS));
+  assert.equal(await Actor.getValue(sessionStoreKey(DEFAULT_CREDENTIALS)), null, 'not in the default store, which every run starts empty');
+  assert.ok(session.cookies.some((cookie) => cookie.name === 'auth_token'));
+  assert.deepEqual(session.account, { userId: 'user-1', email: DEFAULT_CREDENTIALS.email });
+});
+
+test('login reuses a saved session without the form', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const first = createScraper();
+  await first.init();
+  await first.login(DEFAULT_CREDENTIALS.email, DEFAULT_CREDENTIALS.password);
+  await first.close();
+
+  const posts = server.requests.length;
+  const second = createScraper({ email: DEFAULT_CREDENTIALS.email });
+  await second.init();
+  await second.login();
+
+  assert.deepEqual(server.requests.slice(posts), ['/login', '/'], 'only the session check hits the server');
+});
+
+test('login never reuses the saved session of another account', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const member = createScraper();
+  await member.init();
+  await member.login(DEFAULT_CREDENTIALS.email, DEFAULT_CREDENTIALS.password);
+  await member.close();
+
+  // The other account has no saved session of its own and logs in with the form
+  const other = createScraper();
+  await other.init();
+  await other.login(OTHER_CREDENTIALS.email, OTHER_CREDENTIALS.password);
+  assert.equal(other.account.email, OTHER_CREDENTIALS.email);
+  await other.close();
+
+  // A saved session that turns out to be logged in as someone else is dropped
+  const sessions = await sessionStore();
+  await sessions.setValue(sessionStoreKey(OTHER_CREDENTIALS), await sessions.getValue(sessionStoreKey(DEFAULT_CREDENTIALS)));
+  const mixedUp = createScraper();
+  await mixedUp.init();
+  await mixedUp.login(OTHER_CREDENTIALS.email, OTHER_CREDENTIALS.password);
+  assert.equal(mixedUp.account.email, OTHER_CREDENTIALS.email);
+  assert.equal((await sessions.getValue(sessionStoreKey(OTHER_CREDENTIALS))).account.email, OTHER_CREDENTIALS.email);
+});
+
+test('every tab uses the configured fingerprint', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper({ viewportWidth: 1280, viewportHeight: 720, locale: 'de-DE', timezone: 'Asia/Tokyo' });
+  await scraper.init();
+  const [, worker] = await scraper.getWorkerPages(2);
+  await worker.goto(`${server.url}/login`);
+
+  const fingerprint = await worker.evaluate(() => ({
+    userAgent: navigator.userAgent,
+    width: window.innerWidth,
+    height: window.innerHeight,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  }));
+  assert.doesNotMatch(fingerprint.userAgent, /Headless/);
+  const [, major] = (await scraper.browser.version()).match(/\/(\d+)/);
+  assert.ok(fingerprint.userAgent.includes(`Chrome/${major}.`), 'same major version as the launched Chromium');
+  assert.deepEqual([fingerprint.width, fingerprint.height, fingerprint.timezone], [1280, 720, 'Asia/Tokyo']);
+  assert.equal(server.lastRequestHeaders['accept-language'], 'de-DE,de;q=0.9');
+  assert.equal(server.lastRequestHeaders['user-agent'], fingerprint.userAgent);
+});
+
+test('login fails without a session or credentials', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper();
+  await scraper.init();
+  await assert.rejects(scraper.login(), /No valid session and no email\/password/);
+});
+
+test('extractCourseStructure reads the outline from __NEXT_DATA__', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper();
+  await openClassroom(scraper, 'structure');
+
+  const courseStructure = await scraper.extractCourseStructure();
+
+  assert.equal(courseStructure.title, 'Getting Started');
+  assert.equal(courseStructure.courseId, 'course-1');
+  assert.equal(courseStructure.groupSlug, 'test-group');
+  assert.deepEqual(courseStructure.sections.map((section) => section.courseTitle), ['Getting Started', 'Week 1', 'Getting Started']);
+
+  const modules = courseStructure.sections.flatMap((section) => section.childrenCourses);
+  assert.deepEqual(modules.map((module) => module.title), ['Welcome', 'The Basics', 'Slow Lesson', 'Draft Without ID', 'Video Only', 'Notes From JSON', 'Level 3 Bonus']);
+  assert.equal(modules[1].breadcrumb, 'Getting Started › Week 1 › The Basics');
+  assert.equal(modules[0].video.provider, 'youtube');
+  assert.equal(modules[3].Id, null);
+
+  // Access and progress
+  assert.equal(modules[0].access.completed, true);
+  assert.equal(modules[6].access.locked, true);
+  assert.equal(modules[6].access.unlockLevel, 3);
+  assert.equal(courseStructure.sections[1].access.locked, false);
+  assert.deepEqual(courseStructure.sections[1].progress, { completedModules: 0, totalModules: 3, percentComplete: 0 });
+  assert.deepEqual(courseStructure.progress, { completedModules: 1, totalModules: 7, percentComplete: 14 });
+});
+
+test('extractTextContent converts the lesson editor body', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper({ contentFormat: 'markdown' });
+  await openClassroom(scraper, 'text');
+
+  await scraper.navigate(scraper.page, `${server.classroomUrl('text')}?md=mod-welcome`, { waitUntil: 'networkidle2' });
+  const content = await scraper.extractTextContent();
+
+  assert.match(content, /^## Welcome to the course/);
+  assert.match(content, /\*\*everything\*\*/);
+  assert.match(content, /\[guide\]\(https:\/\/example\.com\/guide\)/);
+});
+
+test('extractTextContent falls back through the configured selectors', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper({ contentSelectors: ['.does-not-exist', 'main'] });
+  await openClassroom(scraper, 'selectors');
+
+  await scraper.navigate(scraper.page, `${server.classroomUrl('selectors')}?md=mod-basics`, { waitUntil: 'networkidle2' });
+  const { content, contentSource } = await scraper.extractModuleContent();
+
+  assert.equal(contentSource, 'selector:main');
+  assert.match(content, /Start with the basics/);
+  assert.equal(await scraper.quickContentCheck(), true);
+});
+
+test('scrapeDirectWithIds scrapes every module and records failures by status', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  server.slowModules.set('mod-slow', 10000);
+  const scraper = createScraper({ navigationTimeout: 1500 });
+  await openClassroom(scraper, 'full-run');
+
+  const modules = modulesById(await scraper.scrapeDirectWithIds());
+
+  assert.equal(modules.get('mod-welcome').status, 'ok');
+  assert.match(modules.get('mod-welcome').content, /Welcome to the course/);
+  assert.equal(modules.get('mod-welcome').contentSource, 'selector:.tiptap.ProseMirror.skool-editor2');
+  assert.equal(modules.get('mod-basics').status, 'ok');
+  assert.match(modules.get('mod-basics').content, /\[Image: Basics diagram - https:\/\/example\.com\/diagram\.png\]/);
+
+  // Resources from the metadata and the resource panel, merged by URL
+  assert.deepEqual(modules.get('mod-basics').resources.map(({ title, type, fileSize }) => ({ title, type, fileSize })), [
+    { title: 'Workbook', type: 'file', fileSize: 2516582 },
+    { title: 'Community rules', type: 'link', fileSize: null },
+    { title: 'Cheat sheet', type: 'file', fileSize: 327680 }
+  ]);
+  assert.deepEqual(modules.get('mod-welcome').resources, []);
+
+  // A body in the page JSON wins over the markup
+  assert.equal(modules.get('mod-json-body').contentSource, 'next-data:metadata.desc');
+  assert.match(modules.get('mod-json-body').content, /Lesson notes/);
+
+  // A lesson without an editor body is empty, not an error
+  assert.equal(modules.get('mod-video-only').status, 'empty');
+  assert.equal(modules.get('mod-video-only').content, '');
+
+  // Timeouts are recorded as such and never leak into the content
+  const slow = modules.get('mod-slow');
+  assert.equal(slow.status, 'timeout');
+  assert.equal(slow.content, '');
+  assert.equal(slow.error.retryable, true);
+  assert.equal(slow.attempts, 1);
+
+  // Locked modules are reported and never requested
+  const bonus = modules.get('mod-level-bonus');
+  assert.equal(bonus.status, 'locked');
+  assert.equal(bonus.error.message, 'Unlocks at level 3');
+  assert.equal(server.lessonHits('mod-level-bonus'), 0);
+
+  // Modules without an ID are reported and never requested
+  const draft = modules.get(null);
+  assert.equal(draft.status, 'navigation_error');
+  assert.equal(draft.error.message, 'Module has no ID');
+  assert.ok(server.requests.every((request) => !request.endsWith('md=null')));
+
+  // Each module was pushed once, as soon as it was final
+  const items = await datasetItems(server.classroomUrl('full-run'));
+  assert.equal(items.length, 7);
+  assert.ok(items.every((item) => item.type === 'module' && item.courseId === 'course-1'));
+  assert.equal(items.find((item) => item.moduleId === 'mod-welcome').itemKey, 'course-1:mod-welcome');
+});
+
+test('scrapeDirectWithIds retries transient failures', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  server.onLesson = (moduleId) => {
+    // Slow only on the first request
+    if (moduleId === 'mod-slow' && server.lessonHits('mod-slow') > 1) {
+      server.slowModules.delete('mod-slow');
+    }
+  };
+  server.slowModules.set('mod-slow', 10000);
+  const scraper = createScraper({ navigationTimeout: 1500, maxRetries: 1 });
+  scraper.delay = async () => {};
+  await openClassroom(scraper, 'retry');
+
+  const slow = modulesById(await scraper.scrapeDirectWithIds()).get('mod-slow');
+
+  assert.equal(slow.status, 'ok');
+  assert.equal(slow.attempts, 2);
+  assert.equal(slow.error, null);
+});
+
+test('a migration saves progress and the next run only scrapes the rest', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const options = { classroomUrl: server.classroomUrl('migration') };
+  const first = createScraper(options);
+  // Skool's platform announces the migration while the second lesson loads
+  server.onLesson = (moduleId) => {
+    if (moduleId === 'mod-basics') {
+      first.shouldMigrate = true;
+    }
+  };
+  await openClassroom(first, 'migration');
+
+  await assert.rejects(first.scrapeDirectWithIds(), /Migration in progress/);
+  assert.equal(first.browser, null, 'browser closed for the migration');
+
+  const { modules: saved } = first.classroomState;
+  assert.equal(saved['mod-welcome'].status, 'done');
+  assert.equal(saved['mod-basics'].status, 'done');
+  assert.equal(saved['mod-slow'].status, 'pending');
+
+  server.onLesson = null;
+  const second = createScraper({ ...options, email: DEFAULT_CREDENTIALS.email });
+  await second.init();
+  await second.login(); // The session saved before the migration is reused
+  await second.navigateToClassroom(server.classroomUrl('migration'));
+  const modules = modulesById(await second.scrapeDirectWithIds());
+
+  assert.equal(server.lessonHits('mod-welcome'), 1);
+  assert.equal(server.lessonHits('mod-basics'), 1);
+  assert.equal(server.lessonHits('mod-slow'), 1);
+  assert.match(modules.get('mod-welcome').content, /Welcome to the course/, 'content from before the migration is restored');
+  assert.equal(modules.get('mod-slow').status, 'ok');
+
+  // Every module reached the dataset exactly once, across both attempts
+  const itemKeys = (await datasetItems(server.classroomUrl('migration'))).map((item) => item.itemKey);
+  assert.equal(itemKeys.length, 7);
+  assert.equal(new Set(itemKeys).size, 7);
+  assert.ok(itemKeys.includes('course-1:mod-slow'));
+});
+
+test('filters pick the modules to scrape before any lesson is loaded', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper({ excludeSections: ['^Week'], excludeModules: ['bonus'], maxModules: 2 });
+  await openClassroom(scraper, 'selection');
+
+  const courseStructure = await scraper.scrapeDirectWithIds();
+
+  assert.deepEqual(Array.from(modulesById(courseStructure).keys()), ['mod-welcome', 'mod-video-only']);
+  assert.deepEqual(courseStructure.selection.skippedIds, ['mod-basics', 'mod-slow', 'mod-json-body', 'mod-level-bonus']);
+  assert.equal(server.lessonHits('mod-basics'), 0);
+  assert.equal(server.lessonHits('mod-json-body'), 0);
+});
+
+test('transcripts are fetched for modules with a video', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  server.captionFiles.set('/api/timedtext?type=list&v=dQw4w9WgXcQ', '<transcript_list><track lang_code="en" lang_original="English"/></transcript_list>');
+  server.captionFiles.set('/api/timedtext?v=dQw4w9WgXcQ&lang=en', '<transcript><text start="0.5" dur="2">Welcome in</text></transcript>');
+  const scraper = createScraper({
+    transcripts: true,
+    moduleIds: ['mod-welcome', 'mod-basics', 'mod-video-only'],
+    transcriptEndpoints: { youtube: server.url, vimeo: server.url }
+  });
+  await openClassroom(scraper, 'transcripts');
+
+  const modules = modulesById(await scraper.scrapeDirectWithIds());
+
+  const welcome = modules.get('mod-welcome').transcript;
+  assert.deepEqual([welcome.status, welcome.provider, welcome.language], ['ok', 'youtube', 'en']);
+  assert.deepEqual(welcome.segments, [{ start: 0.5, end: 2.5, text: 'Welcome in' }]);
+  assert.equal(modules.get('mod-video-only').transcript.status, 'error', 'the mock server has no Vimeo config');
+  assert.equal(modules.get('mod-video-only').status, 'empty', 'a failed transcript leaves the module alone');
+  assert.equal(modules.get('mod-basics').transcript, null);
+});
+
+test('structure only outputs the outline without visiting lessons', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper({ structureOnly: true, moduleIds: ['mod-basics', 'mod-level-bonus'], classroomUrl: server.classroomUrl('dry-run') });
+  await openClassroom(scraper, 'dry-run');
+
+  const requests = server.requests.length;
+  await scrapeCourse(scraper, { url: server.classroomUrl('dry-run') }, []);
+
+  assert.equal(server.requests.length, requests, 'no page loaded after the classroom');
+  assert.deepEqual(await datasetItems(server.classroomUrl('dry-run')), [], 'nothing pushed to the dataset');
+  const { courses } = await Actor.getValue('RUN_SUMMARY');
+  const { outlineKey } = courses.find((entry) => entry.classroomUrl === server.classroomUrl('dry-run'));
+  const outline = await Actor.getValue(outlineKey);
+  assert.equal(outline.totalModules, 2);
+  assert.deepEqual(outline.sections.flatMap((section) => section.modules.map((module) => module.Id)), ['mod-basics', 'mod-level-bonus']);
+  assert.equal(outline.sections[1].modules[0].access.lockReason, 'Unlocks at level 3');
+});
+
+test('community mode reads the feed page by page with comments and filters', async (t) => {
+  if (browserError) return t.skip(`SKIP_BROWSER_TESTS=1 and Chrome could not be launched: ${browserError.message.split('\n')[0]}`);
+  const scraper = createScraper({ contentFormat: 'markdown' });
+  await scraper.init();
+  await scraper.login(DEFAULT_CREDENTIALS.email, DEFAULT_CREDENTIALS.password);
+
+  const feed = await scraper.scrapeCommunity(`${server.url}/test-group`, { since: '2024-05-03' });
+
+  assert.deepEqual(feed.categories, ['General', 'Wins']);
+  // The old pinned post is outside the range, and the feed stops at the first page entirely before `since`
+  assert.deepEqual(feed.posts.map((post) => post.id), ['post-wins']);
+  assert.ok(server.requests.includes('/test-group?s=newest&p=2'));
+  assert.ok(!server.requests.includes('/test-group?s=newest&p=3'));
+
+  const wins = feed.posts[0];
+  assert.equal(wins.author, 'Jane Doe');
+  assert.equal(wins.category, 'Wins');
+  assert.deepEqual(wins.comments.map((comment) => comment.content), ['Closed my first client!', 'Shipped the new landing page.']);
+  assert.equal(wins.comments[0].replies[0].author, 'Jane Doe');
+
+  const filtered = await scraper.scrapeCommunity(`${server.url}/test-group`, { categories: ['Wins'] });
+  assert.deepEqual(filtered.posts.map((post) => post.id), ['post-wins', 'post-old-win']);
+
+  // Posts without comments are never opened
+  assert.ok(!server.requests.includes('/test-group/first-sale'));
+});
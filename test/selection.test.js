@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSelection, describeSelection, selectModules } = require('../src/selection');
+
+function lesson(Id, title, path) {
+  return { Id, title, path: [...path, title] };
+}
+
+const sections = [
+  { courseTitle: 'Course', childrenCourses: [lesson('intro', 'Introduction', ['Course'])] },
+  {
+    courseTitle: 'Week 1',
+    childrenCourses: [lesson('w1-a', 'Setup', ['Course', 'Week 1']), lesson('w1-b', 'First steps', ['Course', 'Week 1'])]
+  },
+  { courseTitle: 'Replays', childrenCourses: [lesson('w1-bonus', 'Q&A call', ['Course', 'Week 1', 'Replays'])] },
+  { courseTitle: 'Bonus', childrenCourses: [lesson('bonus', 'Bonus templates', ['Course', 'Bonus'])] }
+];
+
+function selectedIds(options) {
+  const { sections: selected } = selectModules(sections, createSelection(options));
+  return selected.flatMap((section) => section.childrenCourses.map((module) => module.Id));
+}
+
+test('matches sections by any folder a module is in', () => {
+  assert.deepEqual(selectedIds({ includeSections: ['^week 1$'] }), ['w1-a', 'w1-b', 'w1-bonus']);
+  assert.deepEqual(selectedIds({ excludeSections: ['replays', 'bonus'] }), ['intro', 'w1-a', 'w1-b']);
+  assert.deepEqual(selectedIds({ includeSections: ['^Course$'] }), ['intro']);
+});
+
+test('keeps modules named by title pattern or ID, minus exclusions', () => {
+  assert.deepEqual(selectedIds({ includeModules: ['setup'], moduleIds: ['bonus'] }), ['w1-a', 'bonus']);
+  assert.deepEqual(selectedIds({ excludeModules: ['bonus', 'q&a'] }), ['intro', 'w1-a', 'w1-b']);
+});
+
+test('caps the selection in outline order and lists what was left out', () => {
+  const result = selectModules(sections, createSelection({ excludeSections: ['bonus'], maxModules: 2 }));
+
+  assert.equal(result.selectedModules, 2);
+  assert.deepEqual(result.sections.map((section) => section.courseTitle), ['Course', 'Week 1']);
+  assert.deepEqual(result.skippedIds, ['w1-b', 'w1-bonus', 'bonus']);
+  assert.equal(sections[1].childrenCourses.length, 2, 'the input is left untouched');
+});
+
+test('rejects invalid patterns up front', () => {
+  assert.throws(() => createSelection({ excludeModules: ['(unclosed'] }), /Invalid excludeModules pattern "\(unclosed"/);
+  assert.equal(createSelection({}).active, false);
+  assert.equal(createSelection({ maxModules: '0' }).active, false);
+  assert.deepEqual(describeSelection(createSelection({ includeSections: ['^Week'], moduleIds: [' a '] })), {
+    includeSections: ['^Week'],
+    excludeSections: [],
+    includeModules: [],
+    excludeModules: [],
+    moduleIds: ['a'],
+    maxModules: null
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the Apify storage of the test run away from the project's own
+process.env.CRAWLEE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'skool-session-test-'));
+
+const { Actor } = require('apify');
+const { normalizeSessionCookies, sessionStoreKey } = require('../src/session-cookies');
+const { SkoolScraper } = require('../main');
+
+before(async () => {
+  await Actor.init();
+});
+
+after(async () => {
+  await Actor.exit({ exit: false });
+  fs.rmSync(process.env.CRAWLEE_STORAGE_DIR, { recursive: true, force: true });
+});
+
+test('reads Cookie headers, extension exports and name/value objects', () => {
+  assert.deepEqual(normalizeSessionCookies('auth_token=abc=; client_id=xyz'), [
+    { name: 'auth_token', value: 'abc=', domain: '.skool.com', path: '/', secure: true, httpOnly: false },
+    { name: 'client_id', value: 'xyz', domain: '.skool.com', path: '/', secure: true, httpOnly: false }
+  ]);
+  assert.deepEqual(
+    normalizeSessionCookies(JSON.stringify([{ name: 'auth_token', value: 'abc', domain: 'www.skool.com', httpOnly: true, sameSite: 'no_restriction', expirationDate: 1900000000.5 }])),
+    [{ name: 'auth_token', value: 'abc', domain: 'www.skool.com', path: '/', secure: true, httpOnly: true, expires: 1900000000, sameSite: 'None' }]
+  );
+  assert.deepEqual(normalizeSessionCookies({ auth_token: 'abc' }, '127.0.0.1').map((cookie) => cookie.domain), ['127.0.0.1']);
+  assert.deepEqual(normalizeSessionCookies(''), []);
+});
+
+test('rejects sessionCookies that look like JSON but are not', () => {
+  assert.throws(() => normalizeSessionCookies('[{"name": "auth_token",'), /^Error: Invalid sessionCookies: not valid JSON \(.+\)\. Use a Cookie header string/);
+  assert.throws(() => new SkoolScraper({ sessionCookies: '{auth_token: abc}' }), /Invalid sessionCookies/);
+});
+
+test('keys saved sessions by account', () => {
+  const member = sessionStoreKey({ email: 'Member@Example.com ' });
+  assert.match(member, /^SCRAPER_SESSION-[\da-f]{20}$/);
+  assert.equal(member, sessionStoreKey({ email: 'member@example.com' }));
+  assert.notEqual(member, sessionStoreKey({ email: 'other@example.com' }));
+
+  const cookies = normalizeSessionCookies('b=2; a=1');
+  assert.equal(sessionStoreKey({ cookies }), sessionStoreKey({ cookies: normalizeSessionCookies('a=1; b=2') }));
+  assert.notEqual(sessionStoreKey({ cookies }), sessionStoreKey({ cookies: normalizeSessionCookies('a=1; b=3') }));
+  assert.equal(sessionStoreKey({ email: 'member@example.com', cookies }), member, 'the email wins over the cookies');
+  assert.equal(sessionStoreKey({}), null);
+  assert.equal(new SkoolScraper({ email: 'member@example.com' }).sessionKey, member);
+});
+
+test('saves the login in the named session store that later runs read', async () => {
+  const scraper = new SkoolScraper({ email: 'member@example.com', sessionStoreName: 'session-test' });
+  scraper.browser = { cookies: async () => [{ name: 'auth_token', value: 'abc', domain: '.skool.com' }] };
+  scraper.page = { evaluate: async () => ({ origin: 'https://www.skool.com', entries: { theme: 'dark' } }) };
+  scraper.account = { userId: 'user-1', email: 'member@example.com' };
+  await scraper.saveSession();
+
+  const saved = await (await Actor.openKeyValueStore('session-test')).getValue(scraper.sessionKey);
+  assert.deepEqual(saved.account, scraper.account);
+  assert.deepEqual(saved.localStorage, { origin: 'https://www.skool.com', entries: { theme: 'dark' } });
+  assert.equal(await Actor.getValue(scraper.sessionKey), null, 'the default store starts empty in every run');
+
+  const nextRun = new SkoolScraper({ email: 'member@example.com', sessionStoreName: 'session-test' });
+  assert.deepEqual((await (await nextRun.sessionStore()).getValue(nextRun.sessionKey)).cookies, saved.cookies);
+  assert.equal(new SkoolScraper({}).sessionStoreName, 'skool-sessions');
+});
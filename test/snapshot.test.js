@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the Apify storage of the test run away from the project's own
+process.env.CRAWLEE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'skool-snapshot-test-'));
+
+const { Actor } = require('apify');
+const { SkoolScraper } = require('../main');
+const { compareWithSnapshot, contentHash, diffLines, moduleChangeStatus, snapshotEntry, snapshotKey, snapshotRecordKey } = require('../src/snapshot');
+
+before(async () => {
+  await Actor.init();
+});
+
+after(async () => {
+  await Actor.exit({ exit: false });
+  fs.rmSync(process.env.CRAWLEE_STORAGE_DIR, { recursive: true, force: true });
+});
+
+function course(modules) {
+  return {
+    classroomUrl: 'https://www.skool.com/g/classroom/abc',
+    courseId: 'course-1',
+    title: 'Course',
+    sections: [{ courseTitle: 'Course', childrenCourses: modules }]
+  };
+}
+
+test('diffs lines and reports added, modified, renamed, removed and failed modules', () => {
+  assert.equal(diffLines('a\nb\nc', 'a\nc\nd'), '  a\n- b\n  c\n+ d');
+
+  const snapshot = {
+    modules: {
+      same: { title: 'Same', hash: contentHash('kept'), recordKey: 'r1' },
+      edited: { title: 'Edited', hash: contentHash('old line'), recordKey: 'r2' },
+      legacy: { title: 'Old title', hash: contentHash('inline'), content: 'inline' },
+      gone: { title: 'Gone', breadcrumb: 'Course › Gone', hash: contentHash('x') },
+      filtered: { title: 'Filtered', hash: contentHash('y') },
+      broken: { title: 'Broken', hash: contentHash('z') }
+    }
+  };
+  const modules = [
+    { Id: 'same', title: 'Same', content: 'kept' },
+    { Id: 'edited', title: 'Edited', content: 'new line' },
+    { Id: 'legacy', title: 'New title', content: 'inline' },
+    { Id: 'fresh', title: 'Fresh', content: 'hello' },
+    { Id: 'broken', title: 'Broken', content: '', status: 'timeout', error: { message: 'Timed out' } }
+  ];
+
+  const report = compareWithSnapshot(modules, snapshot, new Set(['filtered']), { edited: 'old line' });
+  assert.deepEqual(modules.map((module) => module.changeStatus), ['unchanged', 'modified', 'renamed', 'added', 'failed']);
+  assert.deepEqual(report.modified, [{ moduleId: 'edited', title: 'Edited', breadcrumb: null, diff: '- old line\n+ new line' }]);
+  assert.deepEqual(report.renamed, [{ moduleId: 'legacy', from: 'Old title', to: 'New title' }]);
+  assert.deepEqual(report.removed, [{ moduleId: 'gone', title: 'Gone', breadcrumb: 'Course › Gone' }]);
+  assert.deepEqual(report.failed, [{ moduleId: 'broken', title: 'Broken', status: 'timeout' }]);
+  assert.equal(report.unchanged, 1);
+});
+
+test('keeps each module record apart from the snapshot index and restores it in full', async () => {
+  const result = {
+    status: 'ok',
+    content: 'Lesson text',
+    contentSource: 'nextData',
+    blocks: { type: 'doc', content: [] },
+    resources: [{ title: 'Sheet', url: 'https://example.com/sheet.pdf' }],
+    assets: [{ url: 'https://example.com/a.png', key: 'asset-1.png' }],
+    transcript: { status: 'ok', text: 'Hi' },
+    error: null,
+    attempts: 1
+  };
+  const scraper = new SkoolScraper({ incremental: true, snapshotStoreName: 'snapshot-test' });
+  const structure = course([
+    { Id: 'mod-1', title: 'One', updatedAt: '2024-01-01', ...result },
+    { Id: 'mod-2', title: 'Two', updatedAt: '2024-01-01', status: 'ok', content: 'Second' }
+  ]);
+  scraper.classroomState = { modules: { 'mod-1': { status: 'done', result }, 'mod-2': { status: 'done', result: { status: 'ok', content: 'Second' } } } };
+  await scraper.loadSnapshot(structure);
+  await scraper.updateSnapshot(structure);
+
+  const store = await Actor.openKeyValueStore('snapshot-test');
+  const key = snapshotKey(structure.classroomUrl, structure.courseId);
+  const index = await store.getValue(key);
+  assert.deepEqual(index.modules['mod-1'], snapshotEntry(structure.sections[0].childrenCourses[0], snapshotRecordKey(key, 'mod-1')));
+  assert.equal(JSON.stringify(index).includes('Lesson text'), false, 'no content in the index');
+
+  // The next run restores every scraped field of an unchanged module
+  const next = new SkoolScraper({ incremental: true, snapshotStoreName: 'snapshot-test' });
+  await next.loadSnapshot(structure);
+  assert.deepEqual(await next.loadSnapshotRecord(next.snapshot.modules['mod-1']), result);
+
+  // A module that is gone from the course takes its record with it
+  next.classroomState = { modules: {} };
+  await next.updateSnapshot(course([{ Id: 'mod-1', title: 'One', updatedAt: '2024-01-01', ...result }]));
+  assert.equal(await store.getValue(snapshotRecordKey(key, 'mod-2')), null);
+  assert.deepEqual(await store.getValue(snapshotRecordKey(key, 'mod-1')), { moduleId: 'mod-1', result });
+});
+
+test('stores locked modules and reports them unchanged while they stay locked', async () => {
+  const locked = () => ({ Id: 'mod-locked', title: 'Bonus', updatedAt: '2024-01-01', status: 'locked', content: '', error: { message: 'Requires level 3', retryable: false } });
+  const structure = course([locked()]);
+  const scraper = new SkoolScraper({ incremental: true, snapshotStoreName: 'snapshot-locked-test' });
+  scraper.classroomState = { modules: {} };
+  await scraper.loadSnapshot(structure);
+  const first = await scraper.updateSnapshot(structure);
+  assert.deepEqual([first.added.length, first.failed.length], [1, 0]);
+
+  const next = new SkoolScraper({ incremental: true, snapshotStoreName: 'snapshot-locked-test' });
+  next.classroomState = { modules: {} };
+  await next.loadSnapshot(structure);
+  assert.equal(moduleChangeStatus(locked(), next.snapshot), 'unchanged', 'not pushed again');
+  const second = await next.updateSnapshot(course([locked()]));
+  assert.deepEqual([second.unchanged, second.failed.length], [1, 0]);
+
+  const unlocked = { Id: 'mod-locked', title: 'Bonus', status: 'empty', content: '' };
+  assert.equal(moduleChangeStatus(unlocked, next.snapshot), 'modified', 'unlocking is a change even without content');
+  assert.equal(moduleChangeStatus({ ...locked(), status: 'timeout' }, next.snapshot), 'failed');
+});
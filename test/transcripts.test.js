@@ -0,0 +1,147 @@
+const { after, before, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TranscriptFetcher, parseCaptions, pickTrack } = require('../src/transcripts');
+const { detectVideo } = require('../src/video');
+const { MockSkoolServer } = require('./mock-skool-server');
+
+const VTT = `WEBVTT
+
+NOTE made by hand
+
+1
+00:00:00.500 --> 00:00:03.100 align:start
+<c>Welcome</c> to the course.
+
+00:00:03.100 --> 00:00:04.000
+Welcome to the course.
+
+00:00:04.000 --> 00:00:06.800
+Let&#39;s start with
+the basics.
+`;
+
+let server;
+
+// A YouTube watch page, with the player response escaped the way YouTube writes it into the script
+function watchPage(playerResponse) {
+  const json = JSON.stringify(playerResponse).replace(/&/g, '\\u0026');
+  return `<html><script>var ytInitialPlayerResponse = ${json};var meta = {};</script></html>`;
+}
+
+function fetcher(options = {}) {
+  const endpoints = { youtube: server.url, vimeo: server.url, wistia: server.url, loom: server.url, mux: server.url };
+  return new TranscriptFetcher({ endpoints, ...options });
+}
+
+before(async () => {
+  server = await new MockSkoolServer().start();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('parses WebVTT, SRT and YouTube timedtext captions', () => {
+  assert.deepEqual(parseCaptions(VTT), [
+    { start: 0.5, end: 3.1, text: 'Welcome to the course.' },
+    { start: 4, end: 6.8, text: "Let's start with the basics." }
+  ]);
+  assert.deepEqual(parseCaptions('1\r\n00:01:02,250 --> 00:01:04,000\r\nHello\r\n'), [{ start: 62.25, end: 64, text: 'Hello' }]);
+  assert.deepEqual(
+    parseCaptions('<?xml version="1.0"?><transcript><text start="1.5" dur="2">Tom &amp;amp; Jerry</text></transcript>'),
+    [{ start: 1.5, end: 3.5, text: 'Tom & Jerry' }]
+  );
+  assert.deepEqual(
+    parseCaptions(JSON.stringify({ events: [{ tStartMs: 1000, dDurationMs: 500, segs: [{ utf8: 'Hi ' }, { utf8: 'there' }] }, { tStartMs: 0 }] })),
+    [{ start: 1, end: 1.5, text: 'Hi there' }]
+  );
+});
+
+test('prefers the requested language and human captions', () => {
+  const tracks = [
+    { language: 'en', kind: 'asr', url: 'a' },
+    { language: 'de', kind: 'captions', url: 'b', isDefault: true },
+    { language: 'en-US', kind: 'captions', url: 'c' }
+  ];
+  assert.equal(pickTrack(tracks, ['fr', 'en']).url, 'c');
+  assert.equal(pickTrack(tracks, ['fr']).url, 'b');
+  assert.equal(pickTrack([], ['en']), null);
+});
+
+test('fetches captions of every supported provider', async () => {
+  server.captionFiles.set('/watch?v=dQw4w9WgXcQ', watchPage({
+    videoDetails: { title: 'Braces }; in a title' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [
+          { baseUrl: '/api/timedtext?v=dQw4w9WgXcQ&kind=asr&lang=en', name: { runs: [{ text: 'English (auto-generated)' }] }, languageCode: 'en', kind: 'asr' },
+          { baseUrl: `${server.url}/api/timedtext?v=dQw4w9WgXcQ&lang=en`, name: { simpleText: 'English' }, languageCode: 'en' }
+        ],
+        audioTracks: [{ defaultCaptionTrackIndex: 1 }]
+      }
+    }
+  }));
+  server.captionFiles.set('/api/timedtext?v=dQw4w9WgXcQ&lang=en', '<timedtext format="3"><body><p t="0" d="1500">Hi</p></body></timedtext>');
+  server.captionFiles.set('/video/76979871/config?h=abcdef12',
+    JSON.stringify({ request: { text_tracks: [{ lang: 'de', label: 'Deutsch', kind: 'subtitles', url: '/texttrack/1.vtt?token=x' }] } }));
+  server.captionFiles.set('/texttrack/1.vtt?token=x', VTT);
+  server.captionFiles.set('/embed/captions/abc123xyz.json', JSON.stringify({ captions: [{ language: 'eng', english_name: 'English', text: VTT }] }));
+  server.captionFiles.set('/share/0123456789abcdef0123', `<script>window.__data={"captions_source_url":"${server.url.replace(/\//g, '\\u002F')}\\u002Fcaptions\\u002Floom.vtt","language":"en"}</script>`);
+  server.captionFiles.set('/captions/loom.vtt', VTT);
+  server.captionFiles.set('/Muxplayback01.m3u8', [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="subtitles/en.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=1000,SUBTITLES="subs"',
+    'rendition.m3u8'
+  ].join('\n'));
+  server.captionFiles.set('/subtitles/en.m3u8', '#EXTM3U\n#EXTINF:4,\nen-0.vtt\n#EXTINF:4,\nen-1.vtt\n#EXT-X-ENDLIST');
+  server.captionFiles.set('/subtitles/en-0.vtt', 'WEBVTT\n\n00:00.000 --> 00:04.000\nPart one');
+  server.captionFiles.set('/subtitles/en-1.vtt', 'WEBVTT\n\n00:04.000 --> 00:08.000\nPart two');
+
+  const transcripts = fetcher({ languages: ['en'] });
+
+  const youtube = await transcripts.transcriptFor(detectVideo('https://youtu.be/dQw4w9WgXcQ'));
+  assert.equal(youtube.status, 'ok');
+  assert.deepEqual([youtube.kind, youtube.label], ['captions', 'English']);
+  assert.equal(youtube.source, `${server.url}/api/timedtext?v=dQw4w9WgXcQ&lang=en`);
+  assert.deepEqual(youtube.segments, [{ start: 0, end: 1.5, text: 'Hi' }]);
+
+  const vimeo = await transcripts.transcriptFor(detectVideo('https://vimeo.com/76979871/abcdef12'));
+  assert.deepEqual([vimeo.status, vimeo.language, vimeo.label], ['ok', 'de', 'Deutsch']);
+  assert.equal(vimeo.text, "Welcome to the course. Let's start with the basics.");
+
+  const wistia = await transcripts.transcriptFor(detectVideo('https://fast.wistia.net/medias/abc123xyz'));
+  assert.deepEqual([wistia.status, wistia.language, wistia.source], ['ok', 'eng', null]);
+
+  const loom = await transcripts.transcriptFor(detectVideo('https://www.loom.com/share/0123456789abcdef0123'));
+  assert.deepEqual([loom.status, loom.language, loom.source], ['ok', 'en', `${server.url}/captions/loom.vtt`]);
+
+  const mux = await transcripts.transcriptFor(detectVideo('https://stream.mux.com/Muxplayback01.m3u8'));
+  assert.equal(mux.status, 'ok');
+  assert.equal(mux.text, 'Part one Part two');
+
+  const pageTracks = [{ language: 'en', label: 'English', kind: 'captions', url: `${server.url}/captions/loom.vtt` }];
+  const skool = await transcripts.transcriptFor(detectVideo('https://www.skool.com/videos/lesson-1'), { pageTracks });
+  assert.deepEqual([skool.status, skool.provider, skool.segments.length], ['ok', 'skool', 2]);
+});
+
+test('marks unsupported providers, videos without captions and failed requests', async () => {
+  server.captionFiles.set('/watch?v=nocaptions1', watchPage({ playabilityStatus: { status: 'OK' } }));
+  server.captionFiles.set('/watch?v=noplayer001', '<html><body>Sign in to confirm you are not a bot</body></html>');
+  const transcripts = fetcher();
+
+  const unsupported = await transcripts.transcriptFor(detectVideo('https://example.com/video.mp4'));
+  assert.deepEqual([unsupported.status, unsupported.provider, unsupported.segments], ['unsupported', 'other', []]);
+
+  const unavailable = await transcripts.transcriptFor(detectVideo('https://youtu.be/nocaptions1'));
+  assert.equal(unavailable.status, 'unavailable');
+
+  const noPlayer = await transcripts.transcriptFor(detectVideo('https://youtu.be/noplayer001'));
+  assert.deepEqual([noPlayer.status, noPlayer.error], ['error', 'No player response in the YouTube watch page']);
+
+  const failed = await transcripts.transcriptFor(detectVideo('https://vimeo.com/11111111'));
+  assert.equal(failed.status, 'error');
+  assert.match(failed.error, /HTTP 404/);
+
+  assert.equal(await transcripts.transcriptFor(null), null);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { collectEmbeddedVideos, detectVideo, videoFromMetadata } = require('../src/video');
+
+test('normalizes links of every provider to the same shape', () => {
+  assert.deepEqual(detectVideo('https://youtu.be/dQw4w9WgXcQ?t=42'), {
+    provider: 'youtube',
+    id: 'dQw4w9WgXcQ',
+    url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    embedUrl: 'https://www.youtube.com/embed/dQw4w9WgXcQ',
+    streamUrl: null,
+    thumbnailUrl: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+    durationSeconds: null
+  });
+  assert.equal(detectVideo('https://www.youtube.com/shorts/dQw4w9WgXcQ').id, 'dQw4w9WgXcQ');
+  assert.equal(detectVideo('https://player.vimeo.com/video/76979871?h=abcdef12').url, 'https://vimeo.com/76979871/abcdef12');
+  assert.equal(detectVideo('//www.loom.com/embed/0123456789abcdef0123').embedUrl, 'https://www.loom.com/embed/0123456789abcdef0123');
+  assert.equal(detectVideo('https://acme.wistia.com/medias/abc123xyz').embedUrl, 'https://fast.wistia.net/embed/iframe/abc123xyz');
+  assert.deepEqual(detectVideo('https://example.com/video.mp4'), {
+    provider: 'other',
+    id: null,
+    url: 'https://example.com/video.mp4',
+    embedUrl: null,
+    streamUrl: null,
+    thumbnailUrl: null,
+    durationSeconds: null
+  });
+  assert.equal(detectVideo(''), null);
+});
+
+test('gives Mux videos a player embed URL and the HLS manifest as stream URL', () => {
+  const video = videoFromMetadata({ muxPlaybackId: 'Muxplayback01', videoLenMs: 61500 });
+  assert.deepEqual(video, {
+    provider: 'skool',
+    id: 'Muxplayback01',
+    url: 'https://stream.mux.com/Muxplayback01.m3u8',
+    embedUrl: 'https://player.mux.com/Muxplayback01',
+    streamUrl: 'https://stream.mux.com/Muxplayback01.m3u8',
+    thumbnailUrl: 'https://image.mux.com/Muxplayback01/thumbnail.jpg',
+    durationSeconds: 62
+  });
+
+  const skoolPage = detectVideo('https://www.skool.com/videos/lesson-1');
+  assert.deepEqual([skoolPage.provider, skoolPage.embedUrl, skoolPage.streamUrl], ['skool', null, null]);
+});
+
+test('collects videos embedded in the lesson body once each', () => {
+  const videos = collectEmbeddedVideos([
+    '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>',
+    '<a href="https://youtu.be/dQw4w9WgXcQ">same video</a>',
+    '<video><source src="https://cdn.example.com/clip.mp4"></video>',
+    '<a href="https://example.com/article">not a video</a>'
+  ].join(''));
+  assert.deepEqual(videos.map((video) => [video.provider, video.url]), [
+    ['youtube', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['other', 'https://cdn.example.com/clip.mp4']
+  ]);
+});